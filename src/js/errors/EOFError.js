@@ -0,0 +1,14 @@
+/**
+ * 读取越界错误
+ *
+ * 如果尝试读取的数据超过可用数据的末尾，则会引发 EOFError 异常。
+ * 例如，在 StreamLoader 中调用任一读取方法时，若 bytesAvailable 不足以完成本次读取，将引发此异常。
+ *
+ * @author 8088
+ */
+export default class EOFError extends Error {
+    constructor (message = 'End of file was encountered.') {
+        super(message)
+        this.name = 'EOFError'
+    }
+}
@@ -0,0 +1,19 @@
+/**
+ * 加载错误
+ *
+ * 通过 Promise 方式调用加载器时，加载失败（LoaderEvent.ERROR）或被关闭（LoaderEvent.CLOSE）均以 LoaderError 拒绝。
+ * code 与对应事件的 code 一致，例如 404、408、1000 等，加载被关闭时为 LoaderEvent.CLOSE。
+ *
+ * @author 8088
+ */
+export default class LoaderError extends Error {
+    constructor (evt = {}) {
+        super(evt.message)
+        this.name = 'LoaderError'
+        this.code = evt.code
+        this.desc = evt.desc
+        this.level = evt.level
+        this.target = evt.target
+        this.event = evt
+    }
+}
@@ -22,6 +22,7 @@ export default class LoaderEvent {
     
     /**
      * 在调用 Loader.load() 方法之后开始下载操作时调度。
+     * 事件除 loaded、total、progress 外，还包含 speed、averageSpeed、eta、elapsed、chunks、retries 统计字段，参见 LoaderStats。
      */
     static PROGRESS = 'progress'
     
@@ -30,6 +31,21 @@ export default class LoaderEvent {
      */
     static CLOSE = 'close'
     
+    /**
+     * 在 WorkerLoader 流式解压 ZIP 时，每当一个文件条目下载完整并解压后调度。
+     */
+    static ENTRY = 'entry'
+    
+    /**
+     * 按重试策略（RetryPolicy）重新发出失败的请求之前调度，事件包含第几次尝试（attempt）、等待的毫秒数（delay）及失败的原因码（reason）。
+     */
+    static RETRY = 'retry'
+    
+    /**
+     * 当服务器不支持 Range 请求，下载回退为整体下载、无法暂停后续载及断点续载时调度。
+     */
+    static RESUME_UNAVAILABLE = 'resumeUnavailable'
+    
     /**
      * @private {string}
      */
@@ -0,0 +1,283 @@
+/**
+ * 压缩包
+ *
+ * Archive 类是各加载器共用的解包层，支持 ZIP、GZIP、TAR 与 TGZ（.tar.gz）格式。
+ * URLLoader、FileLoader 在 dataFormat 为压缩包格式时，下载完成后会在当前线程中解包，并提供与 WorkerLoader 相同的 getFile / getFiles / getFolder 接口。
+ * 适用于禁止使用 Worker 的环境或较小的压缩包；较大的压缩包仍建议使用 WorkerLoader 在线程中解包。
+ * 解包算法可通过 Archive.codec 替换，接口参见 ArchiveCodec；未设置时在第一次解包时才动态加载 ArchiveCodec，不解包的用法无需安装 jszip、pako。
+ *
+ * Usage:
+ * Archive.open(buffer, LoaderDataFormat.ZIP).then((archive) => {
+ *     console.log(archive.files, archive.manifest)
+ *     return archive.getFile('index.json', {type: 'json'})
+ * })
+ *
+ * @author 8088
+ */
+'use strict'
+import EventLevel from '../../events/EventLevel'
+import LoaderError from '../../errors/LoaderError'
+import LoaderDataFormat from '../loader/LoaderDataFormat'
+import MemoryFiles from './MemoryFiles'
+import ZipDirectory from './ZipDirectory'
+import Gzip from './Gzip'
+import Tar from './Tar'
+import Glob from './Glob'
+
+const initialize = Symbol('initialize')
+const read = Symbol('read')
+const collect = Symbol('collect')
+const fail = Symbol('fail')
+const basename = Symbol('basename')
+const unpack = Symbol('unpack')
+
+export default class Archive {
+    constructor (zip, manifest) {
+        this[initialize](zip, manifest)
+    }
+    
+    /**
+     * [静态] 解包算法，默认 null，第一次解包时动态加载 ArchiveCodec（JSZip + pako）。
+     * @type {ArchiveCodec}
+     */
+    static codec = null
+    
+    /**
+     * [静态] 取得解包算法，未设置 Archive.codec 时动态加载 ArchiveCodec 并赋给 Archive.codec。
+     *
+     * @returns {Promise}
+     */
+    static loadCodec () {
+        if (Archive.codec) return Promise.resolve(Archive.codec)
+        return import('./ArchiveCodec').then((module) => {
+            if (!Archive.codec) Archive.codec = module.default
+            return Archive.codec
+        })
+    }
+    
+    /**
+     * [静态] 判断 dataFormat 是否为压缩包格式。
+     *
+     * @param format LoaderDataFormat 中的格式
+     * @returns {boolean}
+     */
+    static isArchive (format) {
+        switch (format) {
+            case LoaderDataFormat.ZIP:
+            case LoaderDataFormat.GZIP:
+            case LoaderDataFormat.TAR:
+            case LoaderDataFormat.TGZ:
+                return true
+            default:
+                return false
+        }
+    }
+    
+    /**
+     * [静态] 解包压缩包数据。
+     * GZIP 头中没有文件名时，取 options.url 中的文件名（去掉 .gz 扩展名）作为解压后的文件名。
+     *
+     * @param buffer 压缩包数据，ArrayBuffer 或 Uint8Array
+     * @param format LoaderDataFormat.ZIP、GZIP、TAR 或 TGZ
+     * @param options 可选，{ url: 下载地址 }
+     * @returns {Promise} 以 Archive 对象兑现，解包失败时以 LoaderError（#1004）拒绝
+     */
+    static open (buffer, format, options = {}) {
+        // TAR 无需解压，不加载解包算法
+        let codec = format === LoaderDataFormat.TAR ? Promise.resolve(null) : Archive.loadCodec()
+        let result = codec.then((codec) => Archive[unpack](codec, buffer, format, options))
+        return result.catch((err) => {
+            if (err instanceof TypeError) throw err
+            throw Archive[fail](1004, 'decompression failed', `Archive open ${format} failed: #1004`)
+        })
+    }
+    
+    /**
+     * files
+     * 只读，压缩包内的文件列表（不含目录）。
+     *
+     * @returns {*|Array}
+     */
+    get files () {
+        return this._files
+    }
+    
+    /**
+     * manifest
+     * 只读，压缩包的文件清单。每一项对应包内的一个条目（包括目录），包含以下字段：
+     * name 条目名称，dir 是否为目录，size 解压后的字节数，compressedSize 压缩后的字节数，crc32 CRC32 校验值，
+     * date 最后修改时间，comment 注释，unixPermissions UNIX 权限，dosPermissions DOS 权限。
+     * TAR 条目没有压缩大小和 CRC32，compressedSize 与 size 相同，crc32 为 null。
+     *
+     * @returns {*|Array}
+     */
+    get manifest () {
+        return this._manifest
+    }
+    
+    /**
+     * 获取压缩包内的文件。文件不存在时以 LoaderError（#1002）拒绝。
+     *
+     * options.type 指定文件内容的输出类型：
+     * 'text'（默认）字符串，'json' 解析后的对象，'arraybuffer' ArrayBuffer，'blob' Blob 对象，'base64' Base64 字符串。
+     *
+     * @param key 为文件名称
+     * @param options 可选，{ type: 'text' | 'json' | 'arraybuffer' | 'blob' | 'base64' }
+     * @returns {Promise} 不支持的 type 以 TypeError 拒绝
+     */
+    getFile (key, options = {}) {
+        return Archive.checkType(options.type).then((type) => {
+            let file = this._zip.file(key)
+            if (!file || file.dir) throw Archive[fail](1002, 'file not found', `Archive get file "${key}" failed: #1002`)
+            return this[read](file, type).catch((err) => {
+                throw Archive[fail](err.errorcode, err.errordesc, `Archive get file "${key}" failed: #${err.errorcode}`)
+            })
+        })
+    }
+    
+    /**
+     * 获取压缩包内所有匹配 pattern 的文件，返回 { 文件名: 内容 } 形式的对象。
+     * pattern 的写法参见 Glob，目录条目不包含在结果中。
+     *
+     * @param pattern glob 字符串或正则表达式
+     * @param options 可选，同 getFile
+     * @returns {Promise}
+     */
+    getFiles (pattern, options = {}) {
+        return Archive.checkType(options.type).then((type) => this[collect](Glob.compile(pattern), pattern, type))
+    }
+    
+    /**
+     * 获取压缩包内 path 目录（含子目录）下的所有文件，返回 { 文件名: 内容 } 形式的对象。
+     *
+     * @param path 目录路径，如 'textures/'
+     * @param options 可选，同 getFile
+     * @returns {Promise}
+     */
+    getFolder (path, options = {}) {
+        return Archive.checkType(options.type).then((type) => this[collect](Glob.folder(path), path, type))
+    }
+    
+    /**
+     * [静态] 校验 getFile 的输出类型。
+     *
+     * @param type 输出类型，缺省为 'text'
+     * @returns {Promise} 以规范后的类型兑现，不支持的类型以 TypeError 拒绝
+     */
+    static checkType (type = 'text') {
+        switch (type) {
+            case 'text':
+            case 'json':
+            case 'arraybuffer':
+            case 'blob':
+            case 'base64':
+                return Promise.resolve(type)
+            default:
+                return Promise.reject(new TypeError(`暂不支持以 ${type} 类型获取文件，如需要请联系作者。`))
+        }
+    }
+    
+    // Internals
+    //
+    
+    [initialize] (zip, manifest) {
+        this._zip = zip
+        this._manifest = manifest
+        this._files = []
+        for (let key in zip.files) {
+            if (!zip.files[key].dir) this._files.push(key)
+        }
+    }
+    
+    [read] (file, type) {
+        return file.async(type === 'text' || type === 'json' ? 'string' : type).then(null, () => {
+            throw {errorcode: 1004, errordesc: 'decompression failed'}
+        }).then((data) => {
+            if (type !== 'json') return data
+            try {
+                return JSON.parse(data)
+            } catch (err) {
+                throw {errorcode: 1005, errordesc: 'JSON parse failed'}
+            }
+        })
+    }
+    
+    [collect] (test, pattern, type) {
+        let files = this._zip.filter((relativePath, file) => !file.dir && test(file.name))
+        return Promise.all(files.map((file) => this[read](file, type))).then((list) => {
+            let data = {}
+            files.map((file, i) => {
+                data[file.name] = list[i]
+            })
+            return data
+        }, (err) => {
+            throw Archive[fail](err.errorcode, err.errordesc, `Archive get files "${pattern}" failed: #${err.errorcode}`)
+        })
+    }
+    
+    static [unpack] (codec, buffer, format, options) {
+        if (format === LoaderDataFormat.ZIP) {
+            // 大小与 CRC32 取自中央目录，不依赖解包算法返回对象的内部数据
+            let directory = ZipDirectory.read(buffer)
+            return codec.loadZip(buffer).then((zip) => {
+                let manifest = []
+                for (let key in zip.files) {
+                    let entry = zip.files[key]
+                    let info = directory[entry.name] || {}
+                    manifest.push({
+                        name: entry.name,
+                        dir: entry.dir,
+                        size: info.size || 0,
+                        compressedSize: info.compressedSize || 0,
+                        crc32: (info.crc32 || 0) >>> 0,
+                        date: entry.date,
+                        comment: entry.comment,
+                        unixPermissions: entry.unixPermissions,
+                        dosPermissions: entry.dosPermissions
+                    })
+                }
+                return new Archive(zip, manifest)
+            })
+        }
+        let bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer)
+        let entries = null
+        switch (format) {
+            case LoaderDataFormat.GZIP:
+                let gz = Gzip.unzip(bytes, codec.inflateRaw)
+                if (!gz.name) gz.name = Archive[basename](options.url)
+                entries = [gz]
+                break
+            case LoaderDataFormat.TAR:
+                entries = Tar.unpack(bytes)
+                break
+            case LoaderDataFormat.TGZ:
+                entries = Tar.unpack(Gzip.unzip(bytes, codec.inflateRaw).data)
+                break
+            default:
+                throw new TypeError(`暂不支持 ${format} 格式的解包，如需要请联系作者。`)
+        }
+        let manifest = entries.map((entry) => {
+            let info = Object.assign({}, entry)
+            delete info.data
+            return info
+        })
+        return new Archive(new MemoryFiles(entries), manifest)
+    }
+    
+    static [fail] (code, desc, message) {
+        return new LoaderError({
+            code: code,
+            level: EventLevel.ERROR,
+            desc: desc,
+            message: message
+        })
+    }
+    
+    static [basename] (url) {
+        let path = (url || '').split('?')[0].split('#')[0]
+        let name = path.slice(path.lastIndexOf('/') + 1)
+        let ext = name.lastIndexOf('.')
+        if (ext > 0 && ['.gz', '.gzip'].indexOf(name.slice(ext).toLowerCase()) !== -1) name = name.slice(0, ext)
+        return name || 'data'
+    }
+}
@@ -0,0 +1,142 @@
+import {describe, it, expect, vi, afterEach} from 'vitest'
+import zlib from 'zlib'
+import MockServer from '../../../../test/MockServer'
+import Zip from '../../../../test/Zip'
+import Tar from '../../../../test/Tar'
+import Archive from './Archive'
+import ZipDirectory from './ZipDirectory'
+import URLLoader from '../loader/URLLoader'
+import FileLoader from '../loader/FileLoader'
+import URLRequest from '../loader/URLRequest'
+import LoaderDataFormat from '../loader/LoaderDataFormat'
+import LoaderError from '../../errors/LoaderError'
+
+const ZIP = Zip.create([
+    {name: 'index.json', data: '{"version":1}'},
+    {name: 'docs/'},
+    {name: 'docs/readme.txt', data: 'read me', descriptor: 'plain'},
+    {name: 'docs/img/logo.bin', data: new Uint8Array([1, 2, 3]), method: 0, descriptor: 'zip64'}
+])
+
+describe('Archive', () => {
+    it('reads ZIP sizes and CRC32 from the central directory', async () => {
+        const archive = await Archive.open(ZIP.buffer, LoaderDataFormat.ZIP)
+        expect(archive.files).toEqual(['index.json', 'docs/readme.txt', 'docs/img/logo.bin'])
+        expect(archive.manifest.map((item) => item.name)).toEqual(['index.json', 'docs/', 'docs/readme.txt', 'docs/img/logo.bin'])
+        expect(archive.manifest[2]).toMatchObject({
+            dir: false,
+            size: 7,
+            compressedSize: zlib.deflateRawSync('read me').length,
+            crc32: zlib.crc32('read me')
+        })
+        expect(archive.manifest[3]).toMatchObject({size: 3, compressedSize: 3, crc32: zlib.crc32(new Uint8Array([1, 2, 3]))})
+        expect(ZipDirectory.read(ZIP)['docs/'].size).toBe(0)
+        expect(ZipDirectory.read(new Uint8Array(10))).toEqual({})
+    })
+    
+    it('returns files in every output type', async () => {
+        const archive = await Archive.open(ZIP, LoaderDataFormat.ZIP)
+        expect(await archive.getFile('index.json', {type: 'json'})).toEqual({version: 1})
+        expect(await archive.getFile('docs/readme.txt')).toBe('read me')
+        expect(new Uint8Array(await archive.getFile('docs/img/logo.bin', {type: 'arraybuffer'}))).toEqual(new Uint8Array([1, 2, 3]))
+        expect(await (await archive.getFile('docs/readme.txt', {type: 'blob'})).text()).toBe('read me')
+        expect(await archive.getFile('docs/readme.txt', {type: 'base64'})).toBe(Buffer.from('read me').toString('base64'))
+    })
+    
+    it('collects files with getFiles and getFolder', async () => {
+        const archive = await Archive.open(ZIP, LoaderDataFormat.ZIP)
+        expect(await archive.getFiles('*.txt')).toEqual({'docs/readme.txt': 'read me'})
+        expect(Object.keys(await archive.getFiles('docs/**'))).toEqual(['docs/readme.txt', 'docs/img/logo.bin'])
+        expect(Object.keys(await archive.getFolder('docs/img'))).toEqual(['docs/img/logo.bin'])
+    })
+    
+    it('rejects rather than throws for unsupported types, missing files and bad JSON', async () => {
+        const archive = await Archive.open(ZIP, LoaderDataFormat.ZIP)
+        let pending = [
+            archive.getFile('index.json', {type: 'xml'}),
+            archive.getFiles('*', {type: 'xml'}),
+            archive.getFolder('docs', {type: 'xml'}),
+            Archive.checkType('xml')
+        ]
+        for (let item of pending) await expect(item).rejects.toBeInstanceOf(TypeError)
+        await expect(archive.getFile('docs/')).rejects.toMatchObject({code: 1002})
+        await expect(archive.getFile('docs/readme.txt', {type: 'json'})).rejects.toMatchObject({code: 1005})
+    })
+    
+    it('unpacks GZIP, TAR and TGZ', async () => {
+        const gz = await Archive.open(zlib.gzipSync('hello'), LoaderDataFormat.GZIP, {url: 'http://127.0.0.1/hello.txt.gz'})
+        expect(gz.files).toEqual(['hello.txt'])
+        expect(gz.manifest[0]).toMatchObject({size: 5, crc32: zlib.crc32('hello')})
+        expect(await gz.getFile('hello.txt')).toBe('hello')
+        const tar = Tar.create([{name: 'a/'}, {name: 'a/b.txt', data: 'tar'}])
+        for (let [bytes, format] of [[tar, LoaderDataFormat.TAR], [zlib.gzipSync(tar), LoaderDataFormat.TGZ]]) {
+            const archive = await Archive.open(bytes, format)
+            expect(archive.manifest.map((item) => item.name)).toEqual(['a/', 'a/b.txt'])
+            expect(archive.manifest[1]).toMatchObject({size: 3, compressedSize: 3, crc32: null})
+            expect(await archive.getFolder('a')).toEqual({'a/b.txt': 'tar'})
+        }
+    })
+    
+    it('rejects corrupt data with #1004 and unknown formats with TypeError', async () => {
+        let error = await Archive.open(new Uint8Array([1, 2, 3]), LoaderDataFormat.GZIP).catch((err) => err)
+        expect(error).toBeInstanceOf(LoaderError)
+        expect(error).toMatchObject({code: 1004, desc: 'decompression failed'})
+        await expect(Archive.open(new Uint8Array(0), LoaderDataFormat.ZIP)).rejects.toMatchObject({code: 1004})
+        await expect(Archive.open(new Uint8Array(0), LoaderDataFormat.BINARY)).rejects.toBeInstanceOf(TypeError)
+    })
+    
+    it('loads the default codec on first use and accepts a custom one', async () => {
+        const codec = await Archive.loadCodec()
+        expect(Archive.codec).toBe(codec)
+        let calls = 0
+        Archive.codec = {
+            loadZip: codec.loadZip,
+            inflateRaw: (bytes) => {
+                calls++
+                return codec.inflateRaw(bytes)
+            }
+        }
+        try {
+            const archive = await Archive.open(zlib.gzipSync('custom'), LoaderDataFormat.GZIP)
+            expect(await archive.getFile('data')).toBe('custom')
+            expect(calls).toBe(1)
+        } finally {
+            Archive.codec = codec
+        }
+    })
+})
+
+describe('URLLoader and FileLoader archives', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals()
+    })
+    
+    it('unpacks a ZIP downloaded by URLLoader', async () => {
+        vi.stubGlobal('XMLHttpRequest', new MockServer(MockServer.file(ZIP)).XMLHttpRequest)
+        const loader = new URLLoader()
+        loader.dataFormat = LoaderDataFormat.ZIP
+        await expect(loader.getFile('index.json')).rejects.toMatchObject({code: 1003})
+        expect(await loader.load(new URLRequest('http://127.0.0.1/a.zip'))).toEqual(['index.json', 'docs/readme.txt', 'docs/img/logo.bin'])
+        expect(loader.manifest.length).toBe(4)
+        expect(await loader.getFile('index.json', {type: 'json'})).toEqual({version: 1})
+        expect(await loader.getFolder('docs/img', {type: 'base64'})).toEqual({'docs/img/logo.bin': 'AQID'})
+    })
+    
+    it('unpacks a TGZ downloaded in slices by FileLoader', async () => {
+        vi.stubGlobal('window', new EventTarget())
+        const text = Buffer.from(Uint8Array.from({length: 300000}, (_, i) => (i * 31) & 0xff)).toString('base64')
+        const tgz = zlib.gzipSync(Tar.create([{name: 'big.txt', data: text}]), {level: 0})
+        vi.stubGlobal('XMLHttpRequest', new MockServer(MockServer.file(tgz)).XMLHttpRequest)
+        const loader = new FileLoader()
+        loader.dataFormat = LoaderDataFormat.TGZ
+        expect(await loader.load(new URLRequest('http://127.0.0.1/a.tgz'))).toEqual(['big.txt'])
+        expect(await loader.getFile('big.txt')).toBe(text)
+    })
+    
+    it('rejects the load when the archive cannot be unpacked', async () => {
+        vi.stubGlobal('XMLHttpRequest', new MockServer(MockServer.file('not a zip')).XMLHttpRequest)
+        const loader = new URLLoader()
+        loader.dataFormat = LoaderDataFormat.ZIP
+        await expect(loader.load(new URLRequest('http://127.0.0.1/a.zip'))).rejects.toMatchObject({code: 1004})
+    })
+})
@@ -0,0 +1,33 @@
+/**
+ * 默认解包算法
+ *
+ * Archive 通过 Archive.codec 调用解包算法，默认使用 JSZip 读取 ZIP、pako 解压 deflate 数据。
+ * 未设置 Archive.codec 时，第一次解包才动态加载此模块，打包工具会将其与 jszip、pako 拆分为单独的文件。
+ * 自定义的 codec 需实现相同的两个方法：
+ * loadZip(buffer) 读取 ZIP，返回以 JSZip 兼容对象（files、file()、filter() 及条目的 async()）兑现的 Promise；
+ * inflateRaw(bytes) 解压 raw deflate 数据，返回 Uint8Array。
+ *
+ * @author 8088
+ */
+'use strict'
+import JSZip from 'jszip'
+// pako 2 的 ES 模块没有默认导出
+import * as pako from 'pako'
+
+export default class ArchiveCodec {
+    /**
+     * @param buffer ZIP 数据，ArrayBuffer 或 Uint8Array
+     * @returns {Promise}
+     */
+    static loadZip (buffer) {
+        return JSZip.loadAsync(buffer)
+    }
+    
+    /**
+     * @param bytes raw deflate 数据
+     * @returns {Uint8Array}
+     */
+    static inflateRaw (bytes) {
+        return pako.inflateRaw(bytes)
+    }
+}
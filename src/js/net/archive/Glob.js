@@ -0,0 +1,58 @@
+/**
+ * 文件名匹配
+ *
+ * 将 glob 字符串或正则表达式编译为文件名测试函数：* 匹配除 / 以外的任意字符，** 匹配任意层级目录，? 匹配单个字符；
+ * 不含 / 的 glob（如 '*.json'）按文件名匹配任意目录下的文件。
+ *
+ * @author 8088
+ */
+'use strict'
+
+export default class Glob {
+    /**
+     * @param pattern glob 字符串或正则表达式
+     * @returns {Function} (name) => boolean
+     */
+    static compile (pattern) {
+        if (pattern instanceof RegExp) {
+            return (name) => {
+                pattern.lastIndex = 0
+                return pattern.test(name)
+            }
+        }
+        let source = ''
+        for (let i = 0; i !== pattern.length; i++) {
+            let c = pattern.charAt(i)
+            if (c === '*' && pattern.charAt(i + 1) === '*') {
+                if (pattern.charAt(i + 2) === '/') {
+                    source += '(?:.*/)?'
+                    i += 2
+                } else {
+                    source += '.*'
+                    i += 1
+                }
+            } else if (c === '*') {
+                source += '[^/]*'
+            } else if (c === '?') {
+                source += '[^/]'
+            } else if ('\\^$.|+()[]{}'.indexOf(c) !== -1) {
+                source += '\\' + c
+            } else {
+                source += c
+            }
+        }
+        let base = pattern.indexOf('/') === -1
+        let reg = new RegExp('^' + source + '$')
+        return (name) => reg.test(base ? name.slice(name.lastIndexOf('/') + 1) : name)
+    }
+    
+    /**
+     * @param path 目录路径，如 'textures/'
+     * @returns {Function} (name) => boolean，name 位于该目录（含子目录）下时为 true
+     */
+    static folder (path) {
+        let prefix = path.replace(/^\/+/, '')
+        if (prefix && prefix.charAt(prefix.length - 1) !== '/') prefix += '/'
+        return (name) => name.indexOf(prefix) === 0
+    }
+}
@@ -0,0 +1,52 @@
+/**
+ * GZIP 解码
+ *
+ * 解析 GZIP 头（文件名、注释、修改时间）与尾部的 CRC32 / 原始大小，并以 raw inflate 解压数据。
+ *
+ * @author 8088
+ */
+'use strict'
+
+export default class Gzip {
+    /**
+     * 解压 GZIP 数据，返回与 Archive.manifest 条目相同结构的对象，data 为解压后的 Uint8Array。
+     * GZIP 头中没有文件名时 name 为空字符串。
+     *
+     * @param bytes GZIP 数据
+     * @param inflateRaw raw inflate 解码函数，参见 ArchiveCodec.inflateRaw
+     * @returns {Object}
+     */
+    static unzip (bytes, inflateRaw) {
+        if (bytes[0] !== 0x1f || bytes[1] !== 0x8b || bytes[2] !== 8) throw new Error('invalid gzip header')
+        let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+        let flags = bytes[3]
+        let mtime = view.getUint32(4, true)
+        let offset = 10
+        let end = 0
+        let entry = {
+            name: '',
+            dir: false,
+            size: view.getUint32(bytes.length - 4, true),
+            compressedSize: bytes.length,
+            crc32: view.getUint32(bytes.length - 8, true),
+            date: mtime ? new Date(mtime * 1000) : null,
+            comment: null,
+            unixPermissions: null,
+            dosPermissions: null
+        }
+        if (flags & 0x04) offset += 2 + view.getUint16(offset, true)
+        if (flags & 0x08) {
+            end = bytes.indexOf(0, offset)
+            entry.name = String.fromCharCode.apply(null, bytes.subarray(offset, end))
+            offset = end + 1
+        }
+        if (flags & 0x10) {
+            end = bytes.indexOf(0, offset)
+            entry.comment = String.fromCharCode.apply(null, bytes.subarray(offset, end))
+            offset = end + 1
+        }
+        if (flags & 0x02) offset += 2
+        entry.data = inflateRaw(bytes.subarray(offset, bytes.length - 8))
+        return entry
+    }
+}
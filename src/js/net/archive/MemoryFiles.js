@@ -0,0 +1,92 @@
+/**
+ * 内存文件表
+ *
+ * 以 JSZip 兼容的接口（files、file()、filter() 及条目的 async()）包装 GZIP、TAR 解出的文件，
+ * 使 Archive 对各格式的取文件逻辑保持一致，且不依赖具体的 ZIP 实现。
+ *
+ * @author 8088
+ */
+'use strict'
+
+const initialize = Symbol('initialize')
+
+class MemoryFile {
+    constructor (entry) {
+        this.name = entry.name
+        this.dir = entry.dir
+        this.date = entry.date
+        this._bytes = entry.data || new Uint8Array(0)
+    }
+    
+    /**
+     * 以指定类型读取文件内容，返回的 ArrayBuffer 均为副本。
+     *
+     * @param type 'string' | 'arraybuffer' | 'uint8array' | 'blob' | 'base64'
+     * @returns {Promise}
+     */
+    async (type) {
+        return new Promise((resolve) => {
+            let bytes = this._bytes
+            switch (type) {
+                case 'string':
+                    resolve(new TextDecoder('utf-8').decode(bytes))
+                    break
+                case 'arraybuffer':
+                    resolve(bytes.slice().buffer)
+                    break
+                case 'uint8array':
+                    resolve(bytes.slice())
+                    break
+                case 'blob':
+                    if (typeof Blob === 'undefined') throw new TypeError('当前环境不支持 Blob，请以 arraybuffer 或 uint8array 类型读取文件。')
+                    resolve(new Blob([bytes]))
+                    break
+                case 'base64':
+                    let str = ''
+                    for (let i = 0; i < bytes.length; i += 24576) {
+                        str += btoa(String.fromCharCode.apply(null, bytes.subarray(i, i + 24576)))
+                    }
+                    resolve(str)
+                    break
+                default:
+                    throw new TypeError(`暂不支持以 ${type} 类型读取文件。`)
+            }
+        })
+    }
+}
+
+export default class MemoryFiles {
+    constructor (entries = []) {
+        this[initialize](entries)
+    }
+    
+    /**
+     * @param name 文件名称
+     * @returns {*|MemoryFile|null}
+     */
+    file (name) {
+        return this.files[name] || null
+    }
+    
+    /**
+     * @param test (relativePath, file) => boolean
+     * @returns {Array}
+     */
+    filter (test) {
+        let result = []
+        for (let key in this.files) {
+            if (test(key, this.files[key])) result.push(this.files[key])
+        }
+        return result
+    }
+    
+    // Internals
+    //
+    
+    [initialize] (entries) {
+        this.files = {}
+        entries.map((entry) => {
+            this.files[entry.name] = new MemoryFile(entry)
+        })
+    }
+}
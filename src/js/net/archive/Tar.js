@@ -0,0 +1,86 @@
+/**
+ * TAR 解包
+ *
+ * 支持 ustar、GNU 长文件名（L）与 PAX 扩展头（x）中的 path 记录。链接、设备文件等不含数据的条目会被忽略。
+ *
+ * @author 8088
+ */
+'use strict'
+
+const text = Symbol('text')
+
+export default class Tar {
+    /**
+     * 解包 TAR 数据，返回与 Archive.manifest 条目相同结构的对象数组，文件条目的 data 为 Uint8Array。
+     *
+     * @param bytes TAR 数据
+     * @returns {Array}
+     */
+    static unpack (bytes) {
+        let entries = []
+        let offset = 0
+        let path = null
+        while (offset + 512 <= bytes.length && bytes[offset] !== 0) {
+            let name = Tar[text](bytes, offset, 100)
+            let mode = parseInt(Tar[text](bytes, offset + 100, 8), 8)
+            let size = parseInt(Tar[text](bytes, offset + 124, 12), 8) || 0
+            let mtime = parseInt(Tar[text](bytes, offset + 136, 12), 8)
+            let type = String.fromCharCode(bytes[offset + 156])
+            let prefix = Tar[text](bytes, offset + 257, 5) === 'ustar' ? Tar[text](bytes, offset + 345, 155) : ''
+            let start = offset + 512
+            offset = start + Math.ceil(size / 512) * 512
+            if (prefix) name = prefix + '/' + name
+            switch (type) {
+                case 'L':
+                    // GNU 长文件名，作用于下一个条目
+                    path = Tar[text](bytes, start, size)
+                    continue
+                case 'x':
+                    // PAX 扩展头，仅读取 path 记录
+                    Tar[text](bytes, start, size).split('\n').map((line) => {
+                        let record = line.slice(line.indexOf(' ') + 1)
+                        if (record.indexOf('path=') === 0) path = record.slice(5)
+                    })
+                    continue
+                case 'g':
+                    continue
+            }
+            if (path) {
+                name = path
+                path = null
+            }
+            if (name.indexOf('./') === 0) name = name.slice(2)
+            if (!name) continue
+            let entry = {
+                name: name,
+                dir: type === '5',
+                size: size,
+                compressedSize: size,
+                crc32: null,
+                date: mtime ? new Date(mtime * 1000) : null,
+                comment: null,
+                unixPermissions: isNaN(mode) ? null : mode,
+                dosPermissions: null
+            }
+            if (entry.dir) {
+                if (name.charAt(name.length - 1) !== '/') entry.name += '/'
+                entry.size = entry.compressedSize = 0
+            } else if (type === '0' || type === '7' || type === '\0') {
+                entry.data = bytes.subarray(start, start + size)
+            } else {
+                continue
+            }
+            entries.push(entry)
+        }
+        return entries
+    }
+    
+    // Internals
+    //
+    
+    static [text] (bytes, start, length) {
+        let end = start
+        while (end < start + length && bytes[end] !== 0) end++
+        return new TextDecoder('utf-8').decode(bytes.subarray(start, end)).trim()
+    }
+}
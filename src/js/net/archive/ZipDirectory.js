@@ -0,0 +1,104 @@
+/**
+ * ZIP 中央目录
+ *
+ * 读取 ZIP 中央目录（central directory）中每个条目的大小与 CRC32，供 Archive 生成清单，不依赖解包算法的内部数据。
+ * 支持 ZIP64 记录的大小与偏移；无法解析的数据返回空结果，由解包算法报告错误。
+ *
+ * @author 8088
+ */
+'use strict'
+
+const locate = Symbol('locate')
+const locate64 = Symbol('locate64')
+const extra = Symbol('extra')
+const uint64 = Symbol('uint64')
+
+// 目录结束记录（EOCD）最短 22 字节，其后最多跟 65535 字节的注释
+const EOCD_SIZE = 22
+const MAX_COMMENT = 65535
+
+export default class ZipDirectory {
+    /**
+     * [静态] 读取中央目录，返回 { 条目名称: { size, compressedSize, crc32 } } 形式的对象。
+     *
+     * @param bytes ZIP 数据，ArrayBuffer 或 Uint8Array
+     * @returns {Object}
+     */
+    static read (bytes) {
+        let result = Object.create(null)
+        if (!(bytes instanceof Uint8Array)) bytes = new Uint8Array(bytes)
+        let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+        let end = ZipDirectory[locate](view)
+        if (end === -1) return result
+        let count = view.getUint16(end + 10, true)
+        let offset = view.getUint32(end + 16, true)
+        if (count === 0xffff || offset === 0xffffffff) {
+            let end64 = ZipDirectory[locate64](view, end)
+            if (end64 !== -1) {
+                count = ZipDirectory[uint64](view, end64 + 32)
+                offset = ZipDirectory[uint64](view, end64 + 48)
+            }
+        }
+        let decoder = new TextDecoder('utf-8')
+        for (let i = 0; i < count && offset + 46 <= view.byteLength; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) break
+            let entry = {
+                size: view.getUint32(offset + 24, true),
+                compressedSize: view.getUint32(offset + 20, true),
+                crc32: view.getUint32(offset + 16, true)
+            }
+            let nameLength = view.getUint16(offset + 28, true)
+            let extraLength = view.getUint16(offset + 30, true)
+            let commentLength = view.getUint16(offset + 32, true)
+            let next = offset + 46 + nameLength + extraLength + commentLength
+            if (next > view.byteLength) break
+            if (entry.size === 0xffffffff || entry.compressedSize === 0xffffffff) {
+                ZipDirectory[extra](view, offset + 46 + nameLength, extraLength, entry)
+            }
+            result[decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength))] = entry
+            offset = next
+        }
+        return result
+    }
+    
+    // Internals
+    //
+    
+    static [locate] (view) {
+        // 从末尾向前查找目录结束记录的签名
+        let min = Math.max(0, view.byteLength - EOCD_SIZE - MAX_COMMENT)
+        for (let p = view.byteLength - EOCD_SIZE; p >= min; p--) {
+            if (view.getUint32(p, true) === 0x06054b50) return p
+        }
+        return -1
+    }
+    
+    static [locate64] (view, end) {
+        // ZIP64 定位记录紧接在目录结束记录之前，指向 ZIP64 目录结束记录
+        let locator = end - 20
+        if (locator < 0 || view.getUint32(locator, true) !== 0x07064b50) return -1
+        let end64 = ZipDirectory[uint64](view, locator + 8)
+        if (end64 + 56 > view.byteLength || view.getUint32(end64, true) !== 0x06064b50) return -1
+        return end64
+    }
+    
+    static [extra] (view, start, length, entry) {
+        // ZIP64 扩展字段（0x0001）依次记录解压后大小、压缩后大小，只包含头部中为 0xffffffff 的项
+        for (let p = start; p + 4 <= start + length; p += 4 + view.getUint16(p + 2, true)) {
+            if (view.getUint16(p, true) !== 0x0001) continue
+            let q = p + 4
+            if (entry.size === 0xffffffff && q + 8 <= view.byteLength) {
+                entry.size = ZipDirectory[uint64](view, q)
+                q += 8
+            }
+            if (entry.compressedSize === 0xffffffff && q + 8 <= view.byteLength) {
+                entry.compressedSize = ZipDirectory[uint64](view, q)
+            }
+            return
+        }
+    }
+    
+    static [uint64] (view, offset) {
+        return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000
+    }
+}
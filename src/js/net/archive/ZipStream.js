@@ -0,0 +1,151 @@
+/**
+ * ZIP 流式解析
+ *
+ * 在 ZIP 下载过程中按本地文件头（local file header）顺序解析条目，条目数据一旦完整即解压输出，无需等待中央目录。
+ * 大小记录在数据描述符（data descriptor）中的条目，通过查找压缩大小吻合的描述符确定数据结束位置：
+ * 描述符可带或不带签名，本地文件头中带 ZIP64 扩展字段时描述符中的大小为 8 字节；已查找过的位置不再重复查找。
+ * 遇到加密、不支持的压缩方式或无法解析的数据时停止解析，剩余条目待下载完成后由 Archive 读取。
+ *
+ * @author 8088
+ */
+'use strict'
+
+const initialize = Symbol('initialize')
+const descriptor = Symbol('descriptor')
+const uint = Symbol('uint')
+
+export default class ZipStream {
+    constructor (inflateRaw) {
+        this[initialize](inflateRaw)
+    }
+    
+    /**
+     * done
+     * 只读，是否已停止解析（到达中央目录或遇到无法流式解析的条目）。
+     *
+     * @returns {*|boolean}
+     */
+    get done () {
+        return this._cursor === -1
+    }
+    
+    /**
+     * 传入目前已下载的全部数据，返回新近完整的条目。
+     * 每一项为 { entry, data }：entry 包含 name、dir、size、compressedSize、crc32、date，data 为解压后的 Uint8Array。
+     *
+     * @param bytes 从 ZIP 开头起已下载的数据
+     * @returns {Array}
+     */
+    push (bytes) {
+        let result = []
+        let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+        while (this._cursor !== -1 && this._cursor + 30 <= bytes.length) {
+            let offset = this._cursor
+            if (view.getUint32(offset, true) !== 0x04034b50) {
+                // 已到达中央目录，或不是可流式解析的 ZIP
+                this._cursor = -1
+                break
+            }
+            let flags = view.getUint16(offset + 6, true)
+            let method = view.getUint16(offset + 8, true)
+            let time = view.getUint16(offset + 10, true)
+            let date = view.getUint16(offset + 12, true)
+            let crc32 = view.getUint32(offset + 14, true)
+            let compressedSize = view.getUint32(offset + 18, true)
+            let size = view.getUint32(offset + 22, true)
+            let nameLength = view.getUint16(offset + 26, true)
+            let start = offset + 30 + nameLength + view.getUint16(offset + 28, true)
+            let next = 0
+            if ((flags & 0x01) || (method !== 0 && method !== 8)) {
+                this._cursor = -1
+                break
+            }
+            if (start > bytes.length) break
+            // 本地文件头中带 ZIP64 扩展字段（0x0001）时，数据描述符中的大小为 8 字节；
+            // 扩展字段依次记录头部中为 0xffffffff 的解压后大小、压缩后大小
+            let zip64 = false
+            for (let p = offset + 30 + nameLength; p + 4 <= start; p += 4 + view.getUint16(p + 2, true)) {
+                if (view.getUint16(p, true) !== 0x0001) continue
+                zip64 = true
+                let q = p + 4
+                if (size === 0xffffffff && q + 8 <= start) {
+                    size = this[uint](view, q, 8)
+                    q += 8
+                }
+                if (compressedSize === 0xffffffff && q + 8 <= start) compressedSize = this[uint](view, q, 8)
+                break
+            }
+            if (flags & 0x08) {
+                let length = zip64 ? 8 : 4
+                let found = null
+                for (let p = Math.max(start, this._scan); p + 8 + length * 2 <= bytes.length; p++) {
+                    found = this[descriptor](view, p, p - start, length)
+                    if (found) {
+                        crc32 = found.crc32
+                        compressedSize = p - start
+                        size = found.size
+                        next = found.next
+                        break
+                    }
+                }
+                if (!found) {
+                    this._scan = Math.max(start, bytes.length - 7 - length * 2)
+                    break
+                }
+            } else {
+                next = start + compressedSize
+                if (next > bytes.length) break
+            }
+            let name = new TextDecoder('utf-8').decode(bytes.subarray(offset + 30, offset + 30 + nameLength))
+            let data = bytes.slice(start, start + compressedSize)
+            try {
+                if (method === 8) data = this._inflateRaw(data)
+            } catch (err) {
+                this._cursor = -1
+                break
+            }
+            this._cursor = next
+            this._scan = 0
+            result.push({
+                entry: {
+                    name: name,
+                    dir: name.charAt(name.length - 1) === '/',
+                    size: size,
+                    compressedSize: compressedSize,
+                    crc32: crc32,
+                    date: new Date(((date >> 9) & 0x7f) + 1980, ((date >> 5) & 0x0f) - 1, date & 0x1f, (time >> 11) & 0x1f, (time >> 5) & 0x3f, (time & 0x1f) * 2)
+                },
+                data: data
+            })
+        }
+        return result
+    }
+    
+    // Internals
+    //
+    
+    [initialize] (inflateRaw) {
+        this._inflateRaw = inflateRaw
+        this._cursor = 0
+        this._scan = 0
+    }
+    
+    [descriptor] (view, p, compressedSize, length) {
+        // 带签名的描述符为 签名 + CRC32 + 压缩后大小 + 解压后大小；
+        // 无签名的描述符没有可识别的开头，要求其后紧接下一个本地文件头或中央目录，避免把数据误认为描述符
+        if (view.getUint32(p, true) === 0x08074b50 && this[uint](view, p + 8, length) === compressedSize) {
+            return {crc32: view.getUint32(p + 4, true), size: this[uint](view, p + 8 + length, length), next: p + 8 + length * 2}
+        }
+        let next = p + 4 + length * 2
+        let signature = view.getUint32(next, true)
+        if ((signature === 0x04034b50 || signature === 0x02014b50) && this[uint](view, p + 4, length) === compressedSize) {
+            return {crc32: view.getUint32(p, true), size: this[uint](view, p + 4 + length, length), next: next}
+        }
+        return null
+    }
+    
+    [uint] (view, offset, length) {
+        if (length === 4) return view.getUint32(offset, true)
+        return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000
+    }
+}
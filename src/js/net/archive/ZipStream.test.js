@@ -0,0 +1,80 @@
+import {describe, it, expect} from 'vitest'
+import zlib from 'zlib'
+import Zip from '../../../../test/Zip'
+import ZipStream from './ZipStream'
+
+const inflateRaw = (bytes) => new Uint8Array(zlib.inflateRawSync(bytes))
+
+const feed = (stream, bytes, step) => {
+    let result = []
+    for (let end = step; end < bytes.length + step; end += step) {
+        stream.push(bytes.subarray(0, Math.min(end, bytes.length))).map((item) => result.push(Object.assign({at: end}, item)))
+    }
+    return result
+}
+
+describe('ZipStream', () => {
+    it('streams entries as soon as their data and data descriptor arrive', () => {
+        const entries = [
+            {name: 'a.txt', data: 'alpha '.repeat(50)},
+            {name: 'b.txt', data: 'bravo', method: 0, descriptor: 'signature'},
+            {name: 'c.txt', data: 'charlie '.repeat(50), descriptor: 'plain'},
+            {name: 'd/'},
+            {name: 'd/e.txt', data: 'echo', method: 0, descriptor: 'zip64'},
+            {name: 'f.txt', data: 'foxtrot', descriptor: 'zip64'}
+        ]
+        const bytes = Zip.create(entries)
+        const stream = new ZipStream(inflateRaw)
+        let result = feed(stream, bytes, 5)
+        expect(result.map((item) => item.entry.name)).toEqual(['a.txt', 'b.txt', 'c.txt', 'd/', 'd/e.txt', 'f.txt'])
+        result.map((item, i) => {
+            let data = new TextEncoder().encode(entries[i].data || '')
+            expect(new TextDecoder().decode(item.data)).toBe(entries[i].data || '')
+            expect(item.entry).toMatchObject({size: data.length, crc32: zlib.crc32(data), dir: entries[i].name === 'd/'})
+            expect(item.entry.date).toEqual(new Date(2024, 0, 1))
+        })
+        expect(result[4].entry.compressedSize).toBe(4)
+        expect(stream.done).toBe(true)
+        // 无签名描述符的条目之后的条目，在中央目录到达之前即已输出
+        expect(result[5].at).toBeLessThan(bytes.length - 100)
+    })
+    
+    it('does not mistake data for an unsigned descriptor', () => {
+        // 数据中含有与无签名描述符形式相同、但其后不是文件头的字节
+        let fake = new Uint8Array(16)
+        new DataView(fake.buffer).setUint32(4, 0, true)
+        const bytes = Zip.create([{name: 'a.bin', data: fake, method: 0, descriptor: 'plain'}, {name: 'b.txt', data: 'b'}])
+        let result = feed(new ZipStream(inflateRaw), bytes, 3)
+        expect(result.map((item) => item.entry.size)).toEqual([16, 1])
+        expect(result[0].data).toEqual(fake)
+    })
+    
+    it('scans each byte once while waiting for a data descriptor', () => {
+        const data = new Uint8Array(4000).map((_, i) => (i * 13) & 0xff)
+        const bytes = Zip.create([{name: 'a.bin', data: data, method: 0, descriptor: 'plain'}])
+        const stream = new ZipStream(inflateRaw)
+        let reads = 0
+        const getUint32 = DataView.prototype.getUint32
+        DataView.prototype.getUint32 = function (offset, little) {
+            reads++
+            return getUint32.call(this, offset, little)
+        }
+        try {
+            feed(stream, bytes, 10)
+        } finally {
+            DataView.prototype.getUint32 = getUint32
+        }
+        expect(reads).toBeLessThan(bytes.length * 4)
+    })
+    
+    it('stops at entries that cannot be streamed', () => {
+        const bytes = Zip.create([{name: 'a.txt', data: 'a'}, {name: 'b.txt', data: 'b'}])
+        // 第二个条目改为不支持的压缩方式
+        let offset = 30 + 5 + zlib.deflateRawSync('a').length
+        new DataView(bytes.buffer).setUint16(offset + 8, 12, true)
+        const stream = new ZipStream(inflateRaw)
+        expect(stream.push(bytes).map((item) => item.entry.name)).toEqual(['a.txt'])
+        expect(stream.done).toBe(true)
+        expect(stream.push(bytes)).toEqual([])
+    })
+})
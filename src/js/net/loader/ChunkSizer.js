@@ -0,0 +1,83 @@
+/**
+ * 分片大小
+ *
+ * 为 FileLoader 的 Range 分片请求计算每片的字节数。固定模式下始终使用设定的大小；
+ * 自适应模式下根据最近几片的下载耗时估算当前速度，使每片的耗时接近 ChunkSizer.TARGET 毫秒，
+ * 快速网络下加大分片以减少请求次数，慢速网络下缩小分片以便及时恢复与汇报进度。
+ *
+ * @author 8088
+ */
+'use strict'
+
+const initialize = Symbol('initialize')
+
+export default class ChunkSizer {
+    constructor (size = 204800, adaptive = false) {
+        this[initialize](size, adaptive)
+    }
+    
+    /**
+     * [静态] 自适应模式下分片的最小字节数。
+     * @type {uint}
+     */
+    static MIN = 65536
+    
+    /**
+     * [静态] 自适应模式下分片的最大字节数。
+     * @type {uint}
+     */
+    static MAX = 16777216
+    
+    /**
+     * [静态] 自适应模式下每片期望的下载耗时，毫秒。
+     * @type {uint}
+     */
+    static TARGET = 1000
+    
+    /**
+     * [静态] 自适应模式下参与估算速度的最近分片数。
+     * @type {uint}
+     */
+    static WINDOW = 3
+    
+    /**
+     * size
+     * 只读，下一片的字节数。
+     *
+     * @returns {*|uint}
+     */
+    get size () {
+        return this._size
+    }
+    
+    /**
+     * 记录一片的下载结果，自适应模式下据此调整下一片的大小。每次调整最多放大或缩小一倍。
+     *
+     * @param bytes 该片的字节数
+     * @param duration 该片的下载耗时，毫秒
+     */
+    record (bytes, duration) {
+        if (!this._adaptive) return
+        this._samples.push({bytes: bytes, duration: Math.max(duration, 1)})
+        if (this._samples.length > ChunkSizer.WINDOW) this._samples.shift()
+        let bytesSum = 0
+        let durationSum = 0
+        this._samples.map((item) => {
+            bytesSum += item.bytes
+            durationSum += item.duration
+        })
+        let size = bytesSum / durationSum * ChunkSizer.TARGET
+        size = Math.min(Math.max(size, this._size / 2), this._size * 2)
+        size = Math.min(Math.max(size, ChunkSizer.MIN), ChunkSizer.MAX)
+        this._size = Math.round(size / 1024) * 1024
+    }
+    
+    // Internals
+    //
+    
+    [initialize] (size, adaptive) {
+        this._size = size
+        this._adaptive = adaptive
+        this._samples = []
+    }
+}
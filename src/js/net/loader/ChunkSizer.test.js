@@ -0,0 +1,42 @@
+import {describe, it, expect} from 'vitest'
+import ChunkSizer from './ChunkSizer'
+
+describe('ChunkSizer', () => {
+    it('keeps a fixed size when not adaptive', () => {
+        const sizer = new ChunkSizer(1000)
+        sizer.record(1000, 1)
+        sizer.record(1000, 100000)
+        expect(sizer.size).toBe(1000)
+    })
+    
+    it('aims at the target duration, at most doubling or halving each time', () => {
+        const sizer = new ChunkSizer(204800, true)
+        // 200KB 用时 100 毫秒，按 1 秒估算应为 2MB，但一次最多放大一倍
+        sizer.record(204800, 100)
+        expect(sizer.size).toBe(409600)
+        sizer.record(409600, 100)
+        expect(sizer.size).toBe(819200)
+        const slow = new ChunkSizer(819200, true)
+        slow.record(819200, 100000)
+        expect(slow.size).toBe(409600)
+    })
+    
+    it('stays between MIN and MAX', () => {
+        const slow = new ChunkSizer(ChunkSizer.MIN, true)
+        slow.record(ChunkSizer.MIN, 100000)
+        expect(slow.size).toBe(ChunkSizer.MIN)
+        const fast = new ChunkSizer(ChunkSizer.MAX, true)
+        fast.record(ChunkSizer.MAX, 1)
+        expect(fast.size).toBe(ChunkSizer.MAX)
+    })
+    
+    it('estimates the speed from the last WINDOW slices', () => {
+        const sizer = new ChunkSizer(102400, true)
+        for (let i = 0; i !== ChunkSizer.WINDOW; i++) sizer.record(102400, 10000)
+        let size = sizer.size
+        // 更早的慢速分片移出窗口后，速度按最近的分片估算
+        for (let i = 0; i !== ChunkSizer.WINDOW; i++) sizer.record(102400, 1000)
+        expect(sizer.size).toBeGreaterThan(size)
+        expect(sizer.size % 1024).toBe(0)
+    })
+})
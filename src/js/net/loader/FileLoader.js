@@ -13,6 +13,17 @@ import EventEmitter from 'events'
 import LoaderEvent from '../../events/LoaderEvent'
 import EventLevel from '../../events/EventLevel'
 import LoaderDataFormat from './LoaderDataFormat'
+import LoaderPromise from './LoaderPromise'
+import LoaderError from '../../errors/LoaderError'
+import Archive from '../archive/Archive'
+import ChunkSizer from './ChunkSizer'
+import LoaderStats from './LoaderStats'
+import LoaderProbe from './LoaderProbe'
+import Integrity from './Integrity'
+import RateLimiter from './RateLimiter'
+import RetryPolicy from './RetryPolicy'
+import Transport from '../transport/Transport'
+import NetworkState from '../transport/NetworkState'
 
 const initialize = Symbol('initialize')
 const reset = Symbol('reset')
@@ -24,11 +35,52 @@ const online = Symbol('online')
 const offline = Symbol('offline')
 const onStart = Symbol('onStart')
 const onProgress = Symbol('onProgress')
+const progress = Symbol('progress')
 const onHTTPStatus = Symbol('onHTTPStatus')
 const onComplete = Symbol('onComplete')
 const onError = Symbol('onError')
 const onClose = Symbol('onClose')
 const onLoadend = Symbol('onLoadend')
+const unpack = Symbol('unpack')
+const unloaded = Symbol('unloaded')
+const append = Symbol('append')
+const fill = Symbol('fill')
+const fetch = Symbol('fetch')
+const onRange = Symbol('onRange')
+const received = Symbol('received')
+const finish = Symbol('finish')
+const disconnected = Symbol('disconnected')
+const restore = Symbol('restore')
+const save = Symbol('save')
+const validator = Symbol('validator')
+const changed = Symbol('changed')
+const onChanged = Symbol('onChanged')
+const fallback = Symbol('fallback')
+const clear = Symbol('clear')
+const unranged = Symbol('unranged')
+const size = Symbol('size')
+const probe = Symbol('probe')
+const reprobe = Symbol('reprobe')
+const digest = Symbol('digest')
+const throttle = Symbol('throttle')
+const request = Symbol('request')
+const policy = Symbol('policy')
+const retry = Symbol('retry')
+const recover = Symbol('recover')
+const refetch = Symbol('refetch')
+const watch = Symbol('watch')
+const expire = Symbol('expire')
+const active = Symbol('active')
+const deadline = Symbol('deadline')
+const onTimeout = Symbol('onTimeout')
+const create = Symbol('create')
+const store = Symbol('store')
+const commit = Symbol('commit')
+const mismatch = Symbol('mismatch')
+const onWriteError = Symbol('onWriteError')
+
+// 停滞且未设置重试策略时，立即重新请求一次当前分片
+const STALL = new RetryPolicy({maxAttempts: 2, base: 0, jitter: 0})
 
 export default class FileLoader extends EventEmitter {
     constructor (request = null) {
@@ -54,6 +106,7 @@ export default class FileLoader extends EventEmitter {
     /**
      * bytesTotal
      * 表示所下载数据中的字节总数。正在进行加载操作时该属性包含 0，完成操作时会填充该属性。另外，丢失的 Content-Length 标题将会导致 bytesTotal 不确定。
+     * 无法获取文件大小（如分块传输）时整体流式下载，下载过程中该属性为 undefined，PROGRESS 事件的 progress 为 null，下载完成后填充为实际大小。
      *
      * @returns {*|uint}
      */
@@ -66,9 +119,22 @@ export default class FileLoader extends EventEmitter {
         this._total = value
     }
     
+    /**
+     * bytesContiguous
+     * 只读，从文件开头起连续已下载的字节数。单连接下载时与 bytesLoaded 相同，多连接下载时各分片乱序完成，可能小于 bytesLoaded。
+     *
+     * @returns {*|uint}
+     */
+    get bytesContiguous () {
+        return this._contiguous
+    }
+    
     /**
      * data
      * 从加载操作接收的数据。在加载过程中填充该属性。该数据是一个包含原始二进制数据的 ArrayBuffer 对象。
+     * 下载过程中为按文件大小预先分配的 ArrayBuffer（文件大小未知时按倍数扩容），只有前 bytesContiguous 个字节保证已下载，完成时与文件大小相同。
+     * 如果 dataFormat 属性是 LoaderDataFormat.ZIP、GZIP、TAR 或 TGZ，加载完成后data为包内的文件列表，取文件请调getFile接口。
+     * 设置了 destination 时下载过程中为 null，加载完成后为目标文件路径。
      *
      * @returns {*|arraybuffer}
      */
@@ -81,9 +147,19 @@ export default class FileLoader extends EventEmitter {
         this._data = value
     }
     
+    /**
+     * manifest
+     * 只读，压缩包的文件清单，字段说明参见 Archive.manifest。只有当 dataFormat 为压缩包格式且加载完成时，才会填充该属性。
+     *
+     * @returns {*|Array}
+     */
+    get manifest () {
+        return this._archive ? this._archive.manifest : null
+    }
+    
     /**
      * dataFormat
-     * 控制是以原始二进制数据 (LoaderDataFormat.BINARY) 接收下载的数据。
+     * 控制是以原始二进制数据 (LoaderDataFormat.BINARY) 还是压缩包 (LoaderDataFormat.ZIP、GZIP、TAR、TGZ) 接收下载的数据。
      *
      * @returns {*|string}
      */
@@ -93,14 +169,223 @@ export default class FileLoader extends EventEmitter {
     
     // noinspection JSAnnotator
     set dataFormat (value) {
-        if (value !== LoaderDataFormat.BINARY) {
-            throw new TypeError(`文件下载仅支持二进制数据下载，如有其他需求请联系作者。`)
+        if (value !== LoaderDataFormat.BINARY && !Archive.isArchive(value)) {
+            throw new TypeError(`文件下载仅支持二进制数据及压缩包下载，如有其他需求请联系作者。`)
+        }
+        this._dataFormat = value
+    }
+    
+    /**
+     * chunkSize
+     * 分片下载时每个 Range 请求的字节数（默认 204800，即 200KB）。开启 adaptive 时作为初始分片大小。
+     *
+     * @returns {*|uint}
+     */
+    get chunkSize () {
+        return this._chunkSize
+    }
+    
+    // noinspection JSAnnotator
+    set chunkSize (value) {
+        if (!(value > 0)) throw new TypeError(`无效的分片大小 ${value}，请使用大于 0 的字节数。`)
+        this._chunkSize = Math.ceil(value)
+        this._chunk = new ChunkSizer(this._chunkSize, this._adaptive)
+    }
+    
+    /**
+     * adaptive
+     * 是否开启自适应分片（默认 false）。开启后根据最近几片的下载耗时放大或缩小分片，使每片耗时接近 1 秒，参见 ChunkSizer。
+     *
+     * @returns {*|boolean}
+     */
+    get adaptive () {
+        return this._adaptive
+    }
+    
+    // noinspection JSAnnotator
+    set adaptive (value) {
+        this._adaptive = !!value
+        this._chunk = new ChunkSizer(this._chunkSize, this._adaptive)
+    }
+    
+    /**
+     * connections
+     * 同时下载的 Range 分片数（默认 1，即逐片顺序下载）。大于 1 时并行请求多个分片，按偏移写入预先分配的缓冲区。
+     * 下载开始后修改只改变并行的分片数，不会在单连接与多连接之间切换。
+     *
+     * @returns {*|uint}
+     */
+    get connections () {
+        return this._connections
+    }
+    
+    // noinspection JSAnnotator
+    set connections (value) {
+        if (!(value >= 1)) throw new TypeError(`无效的连接数 ${value}，请使用不小于 1 的整数。`)
+        this._connections = Math.floor(value)
+    }
+    
+    /**
+     * probe
+     * 获取文件大小的方式（默认 LoaderProbe.HEAD），可选值参见 LoaderProbe。
+     * 当前方式失败（不支持该请求方法或响应中没有文件大小）时，依次改用 LoaderProbe.RANGE、LoaderProbe.GET。
+     * URLRequest.method 不是 GET 时跳过 HEAD 请求。
+     *
+     * @returns {*|string}
+     */
+    get probe () {
+        return this._probe
+    }
+    
+    // noinspection JSAnnotator
+    set probe (value) {
+        if (value !== LoaderProbe.HEAD && value !== LoaderProbe.RANGE && value !== LoaderProbe.GET) {
+            throw new TypeError(`不支持 ${value} 方式获取文件大小，请使用 LoaderProbe 中的值。`)
+        }
+        this._probe = value
+    }
+    
+    /**
+     * checksum
+     * 下载完成后校验的摘要，格式同 URLRequest.integrity（如 "sha256-<base64>"，也支持 md5、crc32 及十六进制的值），优先于 URLRequest.integrity。
+     * 摘要随分片按顺序到达增量计算，不匹配时不调度 COMPLETE，而是调度 LoaderEvent.ERROR（#1007）。
+     *
+     * @returns {*|string}
+     */
+    get checksum () {
+        return this._checksum
+    }
+    
+    // noinspection JSAnnotator
+    set checksum (value) {
+        Integrity.parse(value)
+        this._checksum = value || null
+    }
+    
+    /**
+     * maxBytesPerSecond
+     * 每秒最多下载的字节数（默认 0 不限速），通过推迟发出下一个 Range 分片实现，下载中可随时修改。
+     * 与 limiter 同时设置时两者都须满足。服务器不支持 Range 而整体下载时无法限速。
+     *
+     * @returns {*|uint}
+     */
+    get maxBytesPerSecond () {
+        return this._rateLimiter ? this._rateLimiter.maxBytesPerSecond : 0
+    }
+    
+    // noinspection JSAnnotator
+    set maxBytesPerSecond (value) {
+        if (!this._rateLimiter) this._rateLimiter = new RateLimiter()
+        this._rateLimiter.maxBytesPerSecond = value
+    }
+    
+    /**
+     * limiter
+     * 共用的限速器（默认 null），多个 FileLoader、WorkerLoader 设置同一个 RateLimiter 时共用它的带宽，参见 RateLimiter。
+     *
+     * @returns {*|RateLimiter}
+     */
+    get limiter () {
+        return this._limiter
+    }
+    
+    // noinspection JSAnnotator
+    set limiter (value) {
+        this._limiter = value || null
+    }
+    
+    /**
+     * transport
+     * 传输方式（默认 null，使用 Transport.backend）：Transport.XHR、Transport.FETCH 或返回请求对象的函数，参见 Transport。
+     * 获取文件大小的请求与各分片请求都使用此方式，须在 load() 之前设置。
+     *
+     * @returns {*|string|Function}
+     */
+    get transport () {
+        return this._transport
+    }
+    
+    // noinspection JSAnnotator
+    set transport (value) {
+        this._transport = value || null
+        // 以新的传输方式重新创建获取文件大小的请求对象
+        this[create]()
+    }
+    
+    /**
+     * retry
+     * 重试策略（默认 null 不重试），可设置为 RetryPolicy、选项对象或 true（默认选项），优先于 URLRequest.retry。
+     * 获取文件大小的请求与每个分片失败（网络错误或可重试的 HTTP 状态码）时按策略重新请求，已下载的数据保留，
+     * 每次重试前调度 LoaderEvent.RETRY；重试次数用尽后调度 LoaderEvent.ERROR。
+     *
+     * @returns {*|RetryPolicy}
+     */
+    get retry () {
+        return this._retry
+    }
+    
+    // noinspection JSAnnotator
+    set retry (value) {
+        this._retry = RetryPolicy.from(value)
+    }
+    
+    /**
+     * storage
+     * 断点存储适配器（默认 null 不保存）。设置后每个下载完成的分片连同 URL、ETag、bytesLoaded 一并保存，
+     * 页面刷新或进程重启后，新的 FileLoader 加载同一 URL 时从上次中断处继续下载，下载完成后清除保存的数据。
+     * 浏览器中可使用 IDBStorage，Node 中可使用 NodeStorage，也可以自行实现相同的接口。
+     *
+     * @returns {*|IDBStorage|NodeStorage}
+     */
+    get storage () {
+        return this._storage
+    }
+    
+    // noinspection JSAnnotator
+    set storage (value) {
+        this._storage = value || null
+    }
+    
+    /**
+     * destination
+     * 下载目标（默认 null，数据保存在 data 中）。Node 中设置为 FileDestination 时，每个分片按偏移直接写入磁盘，不再保留在内存中，
+     * 暂停时落盘，close() 后或进程崩溃、重启后从 .part 文件及其记录继续下载（此时不使用 storage）。close() 会清空此设置，继续下载前须重新设置。完成时 data 及 COMPLETE 的 data 为目标文件路径，
+     * 压缩包格式在完成后读回内存解包。写入失败时中断下载并调度 LoaderEvent.ERROR（#1008）。须在 load() 之前设置。
+     *
+     * @returns {*|FileDestination}
+     */
+    get destination () {
+        return this._destination
+    }
+    
+    // noinspection JSAnnotator
+    set destination (value) {
+        if (value && (typeof value.open !== 'function' || typeof value.write !== 'function')) {
+            throw new TypeError('无效的下载目标，请使用 FileDestination 或实现相同接口的对象。')
         }
+        this._destination = value || null
+    }
+    
+    /**
+     * restartOnChange
+     * 下载过程中发现服务器上的文件已变化（分片返回 200 完整内容、Content-Range 中的总大小或 ETag 与首次响应不一致）时的处理方式。
+     * 默认 false，中断下载并调度 LoaderEvent.ERROR（#1006）；为 true 时丢弃已下载的数据，重新开始下载。
+     *
+     * @returns {*|boolean}
+     */
+    get restartOnChange () {
+        return this._restartOnChange
+    }
+    
+    // noinspection JSAnnotator
+    set restartOnChange (value) {
+        this._restartOnChange = !!value
     }
     
     /**
      * timeout
-     * 请求超时,时间毫秒(默认0毫秒不计算请求超时) 超时后会抛出TimeoutError
+     * 整体超时，时间毫秒（默认 0 不计算超时），从 load() 起计算，暂停期间不计时。
+     * 超时后中断下载并调度 LoaderEvent.ERROR（#408）。
      *
      * @returns {*|int}
      */
@@ -110,8 +395,42 @@ export default class FileLoader extends EventEmitter {
     
     // noinspection JSAnnotator
     set timeout (value) {
-        // ignore..
-        // this._timeout = value
+        if (!(value >= 0)) throw new TypeError(`无效的超时时间 ${value}，请使用不小于 0 的毫秒数。`)
+        this._timeout = value
+    }
+    
+    /**
+     * requestTimeout
+     * 单个请求（获取文件大小的请求或一个分片）的超时，时间毫秒（默认 0 不计算）。
+     * 超时后按 retry 策略重新请求该分片，不再重试时调度 LoaderEvent.ERROR（#408）。
+     *
+     * @returns {*|int}
+     */
+    get requestTimeout () {
+        return this._requestTimeout
+    }
+    
+    // noinspection JSAnnotator
+    set requestTimeout (value) {
+        if (!(value >= 0)) throw new TypeError(`无效的超时时间 ${value}，请使用不小于 0 的毫秒数。`)
+        this._requestTimeout = value
+    }
+    
+    /**
+     * stallTimeout
+     * 停滞超时，时间毫秒（默认 0 不计算）：单个请求连续这么久没有收到数据时视为停滞。
+     * 停滞后重新请求当前分片（设置了 retry 时按其策略，否则重试一次），仍然停滞时调度 LoaderEvent.ERROR（#408）。
+     *
+     * @returns {*|int}
+     */
+    get stallTimeout () {
+        return this._stallTimeout
+    }
+    
+    // noinspection JSAnnotator
+    set stallTimeout (value) {
+        if (!(value >= 0)) throw new TypeError(`无效的超时时间 ${value}，请使用不小于 0 的毫秒数。`)
+        this._stallTimeout = value
     }
     
     /**
@@ -125,10 +444,14 @@ export default class FileLoader extends EventEmitter {
     }
     
     /**
-     * 关闭进行中的加载操作
+     * 关闭进行中的加载操作，所有设置恢复为默认值。设置了 destination 时保留已写入的 .part 文件，
+     * 之后重新设置 destination 再调用 load() 可继续下载。
      */
     close () {
+        clearTimeout(this._timer)
         this[abort]()
+        // 只关闭文件，.part 与 .part.json 留在磁盘上；reset 之后 destination 为 null
+        if (this._destination) this._destination.close().catch(() => {})
         this[reset]()
     }
     
@@ -137,8 +460,15 @@ export default class FileLoader extends EventEmitter {
      */
     pause () {
         if (this.state !== 3) return
+        if (this._timer) {
+            // 暂停期间整体超时不计时
+            clearTimeout(this._timer)
+            this._timer = null
+            this._remaining = Math.max(0, this._deadline - Date.now())
+        }
         this._active_disconnect = true
         this[abort]()
+        if (this._destination) this._destination.sync().catch((err) => this[onWriteError](err))
     }
     
     /**
@@ -146,37 +476,87 @@ export default class FileLoader extends EventEmitter {
      */
     resume () {
         if (this.state !== 3) return
+        if (this._remaining !== null && !this._timer) this[deadline](this._remaining)
         this[slice]()
     }
     
     /**
      * 从指定的 URL 发送和加载数据。
+     * 返回一个 Promise：COMPLETE 时以 data 兑现，ERROR 或 CLOSE 时以 LoaderError 拒绝。
+     *
+     * @returns {Promise}
      */
     load (request) {
         if (request) this._request = request
+        // close() 之后请求对象已释放，继续下载时重新创建
+        if (!this._xhr) this[create]()
+        this._integrity = Integrity.parse(this.checksum || (this._request && this._request.integrity))
+        this._stats.start()
+        this._attempts = 1
+        clearTimeout(this._timer)
+        this._timer = null
+        this._remaining = null
+        if (this.timeout) this[deadline](this.timeout)
         try {
-            // open load
-            this._xhr.open(this._request.method, this._request.url, true)
-            this._xhr.responseType = 'arraybuffer'
-            if (this._request.requestHeaders && this._request.requestHeaders.length) {
-                this._request.requestHeaders.map((item) => {
-                    this._xhr.setRequestHeader(item.name, item.value)
-                })
-            }
-            this._xhr.send(this._request.data)
+            let probes = [LoaderProbe.HEAD, LoaderProbe.RANGE, LoaderProbe.GET]
+            this._probes = probes.slice(probes.indexOf(this.probe)).filter((item) => {
+                return item !== LoaderProbe.HEAD || String(this._request.method).toUpperCase() === 'GET'
+            })
+            this[probe]()
+            return LoaderPromise.from(this)
         } catch (err) {
             throw new TypeError('所传递的请求 URLRequest 对象或 URLRequest.url 属性为 null。')
         }
     }
     
+    /**
+     * 当 dataFormat 为压缩包格式（LoaderDataFormat.ZIP、GZIP、TAR、TGZ）时，下载完成后在当前线程解包，
+     * 通过此接口异步方式获取包内的文件，用法与 WorkerLoader.getFile 相同。压缩包尚未加载完成时，以 LoaderError（#1003）拒绝。
+     *
+     * @param key 为文件名称
+     * @param options 可选，{ type: 'text' | 'json' | 'arraybuffer' | 'blob' | 'base64' }
+     * @returns {Promise}
+     */
+    getFile (key, options = {}) {
+        return this._archive ? this._archive.getFile(key, options) : this[unloaded](key)
+    }
+    
+    /**
+     * 一次性获取压缩包内所有匹配 pattern 的文件，返回 { 文件名: 内容 } 形式的对象，用法与 WorkerLoader.getFiles 相同。
+     *
+     * @param pattern glob 字符串或正则表达式
+     * @param options 可选，同 getFile
+     * @returns {Promise}
+     */
+    getFiles (pattern, options = {}) {
+        return this._archive ? this._archive.getFiles(pattern, options) : this[unloaded](pattern)
+    }
+    
+    /**
+     * 一次性获取压缩包内 path 目录（含子目录）下的所有文件，返回 { 文件名: 内容 } 形式的对象，用法与 WorkerLoader.getFolder 相同。
+     *
+     * @param path 目录路径，如 'textures/'
+     * @param options 可选，同 getFile
+     * @returns {Promise}
+     */
+    getFolder (path, options = {}) {
+        return this._archive ? this._archive.getFolder(path, options) : this[unloaded](path)
+    }
+    
     // Internals
     //
     
     [initialize] (request) {
         this[reset]()
         this._request = request
+        this._onOnline = this[online].bind(this)
+        this._onOffline = this[offline].bind(this)
+        this[create]()
+    }
+    
+    [create] () {
         try {
-            this._xhr = new XMLHttpRequest()
+            this._xhr = Transport.create(this.transport)
             this._xhr.addEventListener('loadstart', this[onStart].bind(this), false)
             this._xhr.addEventListener('abort', this[onClose].bind(this), false)
             this._xhr.addEventListener('readystatechange', this[onHTTPStatus].bind(this), false)
@@ -193,8 +573,42 @@ export default class FileLoader extends EventEmitter {
         this._data = null
         this._dataFormat = LoaderDataFormat.BINARY
         this._timeout = 0
+        this._requestTimeout = 0
+        this._stallTimeout = 0
+        this._timer = null
+        this._deadline = 0
+        this._remaining = null
+        this._chunkSize = 204800
+        this._adaptive = false
+        this._chunk = new ChunkSizer(this._chunkSize, this._adaptive)
+        this._stats = new LoaderStats()
+        this._connections = 1
+        this._probe = LoaderProbe.HEAD
+        this._probes = []
+        this._probing = false
+        this._checksum = null
+        this._integrity = null
+        this._rateLimiter = null
+        this._limiter = null
+        this._waiting = null
+        this._transport = null
+        this._retry = null
+        this._attempts = 1
+        this._storage = null
+        this._destination = null
+        this._restartOnChange = false
+        this._etag = null
+        this._lastModified = null
+        this._parallel = false
+        this._ranged = true
+        this._contiguous = 0
+        this._next = 0
+        this._ranges = []
+        this._queue = []
+        this._done = []
         this._xhr = null
         this._loader = null
+        this._archive = null
     }
     
     [abort] () {
@@ -214,9 +628,44 @@ export default class FileLoader extends EventEmitter {
             this._loader.removeEventListener('abort', this[onClose].bind(this), false)
             this._loader.removeEventListener('readystatechange', this[onHTTPStatus].bind(this), false)
         }
+        
+        if (this._waiting) {
+            // 取消限速中尚未发出的分片
+            this._waiting()
+            this._waiting = null
+            if (this._active_disconnect) {
+                this._active_disconnect = false
+            } else {
+                this[onClose]()
+            }
+        }
+        
+        if (this._ranges.length) {
+            // 中断所有进行中的分片，放回队列等待恢复时重新请求
+            let ranges = this._ranges.splice(0)
+            ranges.map((range) => {
+                if (range.xhr) {
+                    range.xhr.abort()
+                } else {
+                    range.cancel()
+                }
+                this._queue.push({start: range.start, end: range.end})
+            })
+            this._queue.sort((a, b) => a.start - b.start)
+            if (this._active_disconnect) {
+                this._active_disconnect = false
+            } else {
+                this[onClose]()
+            }
+        }
     }
     
     [onStart] (evt) {
+        if (this._probing) {
+            // 改用下一种方式获取文件大小，不再重复调度 START
+            this._probing = false
+            return
+        }
         this._state = 1
         let _evt = {
             code: LoaderEvent.START,
@@ -244,6 +693,19 @@ export default class FileLoader extends EventEmitter {
     }
     
     [onError] (evt) {
+        let xhr = evt && evt.target
+        if (xhr && this[recover](xhr, 1000)) return
+        if (xhr && xhr !== this._xhr && this[disconnected]()) {
+            // 断网时分片放回队列，网络恢复后重新请求；在线时的网络错误视为加载失败
+            this._ranges = this._ranges.filter((range) => {
+                if (range.xhr !== xhr) return true
+                this._queue.push({start: range.start, end: range.end})
+                this._queue.sort((a, b) => a.start - b.start)
+                return false
+            })
+            return
+        }
+        this[rline]()
         let _code = 1000
         let _desc = 'network error'
         let _err = {
@@ -254,6 +716,11 @@ export default class FileLoader extends EventEmitter {
             message: `FileLoader load "${this._request && this._request.url}" failed: #${_code}`
         }
         this.emit(LoaderEvent.ERROR, _err)
+        if (this._ranges.length) {
+            // 多连接下载时任一分片失败，中断其余分片
+            this._active_disconnect = true
+            this[abort]()
+        }
     }
     
     [onLoadend] (evt) {
@@ -266,7 +733,11 @@ export default class FileLoader extends EventEmitter {
         switch (xhr.readyState) {
             case 2:
                 if (this._state < 2) this._state = 2
-                if (xhr.status >= 400) {
+                if (xhr.status >= 400 && xhr === this._xhr && this[reprobe](xhr)) {
+                    break
+                } else if (xhr.status >= 400 && this[recover](xhr, xhr.status)) {
+                    break
+                } else if (xhr.status >= 400) {
                     this[rline]()
                     let _code = xhr.status
                     let _desc = xhr.status >= 500 ? 'server error' : 'request error'
@@ -278,26 +749,48 @@ export default class FileLoader extends EventEmitter {
                         message: `FileLoader state:${this._state} load ${this._request && this._request.url} failed. #${_code}`
                     }
                     this.emit(LoaderEvent.ERROR, _err)
+                    if (this._ranges.length) {
+                        // 多连接下载时任一分片失败，中断其余分片
+                        this._active_disconnect = true
+                        this[abort]()
+                    }
+                } else if (xhr !== this._xhr) {
+                    if (!this._ranged) return
+                    if (this[changed](xhr)) {
+                        this[onChanged]()
+                    } else if (xhr.status === 200) {
+                        // 文件未变化却返回完整内容，说明服务器忽略了 Range
+                        this[fallback](xhr)
+                    }
                 } else {
                     if (this._state >= 3) return
-                    this.bytesTotal = this._xhr.getResponseHeader('Content-Length')
-                    if (!this.bytesTotal) {
-                        let _code = 1001
-                        let _desc = 'unable to get file size'
-                        let _err = {
-                            code: _code,
-                            level: EventLevel.ERROR,
-                            desc: _desc,
-                            target: this,
-                            message: `FileLoader load "${this._request && this._request.url}" failed: #${_code}`
-                        }
-                        this.emit(LoaderEvent.ERROR, _err)
-                        return
-                    }
+                    let total = this[size](this._xhr)
+                    if (!total && this[reprobe](xhr)) break
+                    // 无法获取文件大小（如分块传输）时 bytesTotal 保持 undefined，整体流式下载
+                    this.bytesTotal = total || undefined
+                    this._etag = this._xhr.getResponseHeader('ETag')
+                    this._lastModified = this._xhr.getResponseHeader('Last-Modified')
+                    this._attempts = 1
+                    // 206 说明支持 Range；Accept-Ranges 为 none 时整体下载；缺少该头部时由第一个分片的响应确认
+                    let accept = this._xhr.getResponseHeader('Accept-Ranges')
+                    this._ranged = this._xhr.status === 206 || !accept || accept.toLowerCase() !== 'none'
                     this._active_disconnect = true
                     this[abort]()
-                    this[slice]()
-                    this[aline]()
+                    if (this.bytesTotal === undefined) {
+                        this._ranged = false
+                    } else if (!this._ranged) {
+                        this[unranged]()
+                    }
+                    this._parallel = this._ranged && this.connections > 1
+                    this[restore]().then(() => {
+                        if (this._state !== 2) return
+                        if (this.bytesLoaded >= this.bytesTotal) {
+                            this[finish]()
+                            return
+                        }
+                        this[slice]()
+                        this[aline]()
+                    })
                 }
                 break
         }
@@ -305,29 +798,60 @@ export default class FileLoader extends EventEmitter {
     
     [aline] () {
         if (this._state !== 3) return
-        window.addEventListener('online', this[online].bind(this), false)
-        window.addEventListener('offline', this[offline].bind(this), false)
-        // if(window.navigator.onLine==true) alert（"已连接"）；
+        // 浏览器的 Worker 中没有 window，网络状态由主线程负责；Node 中由 NodeTransport 通知
+        this[rline]()
+        NetworkState.addListener(NetworkState.ONLINE, this._onOnline)
+        NetworkState.addListener(NetworkState.OFFLINE, this._onOffline)
     }
     
     [rline] () {
-        window.removeEventListener('online', this[online].bind(this), false)
-        window.removeEventListener('offline', this[offline].bind(this), false)
+        NetworkState.removeListener(NetworkState.ONLINE, this._onOnline)
+        NetworkState.removeListener(NetworkState.OFFLINE, this._onOffline)
     }
     
     [slice] () {
+        if (this._parallel) {
+            this[fill]()
+            return
+        }
         this._state = 3
+        if (this._waiting) return
+        if (!this._ranged) {
+            // 不支持 Range 时每次都从头整体下载
+            this.data = null
+            this.bytesLoaded = 0
+            this._contiguous = 0
+            if (this._integrity) this._integrity.reset()
+            this[request]()
+            return
+        }
+        let granted = false
+        let cancel = this[throttle](this._chunk.size, () => {
+            granted = true
+            this._waiting = null
+            this[request]()
+        })
+        if (!granted) this._waiting = cancel
+    }
+    
+    [request] () {
         try {
-            this._loader = new XMLHttpRequest()
+            this._sliceTime = Date.now()
+            this._loader = Transport.create(this.transport)
             this._loader.addEventListener('progress', this[onProgress].bind(this), false)
             this._loader.addEventListener('abort', this[onClose].bind(this), false)
             this._loader.addEventListener('load', this[onComplete].bind(this), false)
             this._loader.addEventListener('readystatechange', this[onHTTPStatus].bind(this), false)
+            this._loader.addEventListener('error', this[onError].bind(this), false)
             this._loader.open(this._request.method, this._request.url, true)
             this._loader.setRequestHeader('Content-Type', 'application/octet-stream')
-            this._loader.setRequestHeader('Range', `bytes=${this.bytesLoaded}-${this.bytesLoaded + 204799}`)
+            if (this._ranged) {
+                this._loader.setRequestHeader('Range', `bytes=${this.bytesLoaded}-${this.bytesLoaded + this._chunk.size - 1}`)
+                if (this[validator]()) this._loader.setRequestHeader('If-Range', this[validator]())
+            }
             this._loader.responseType = 'arraybuffer'
             this._loader.send(null)
+            this[watch](this._loader)
         } catch (err) {
             throw err
         }
@@ -336,46 +860,653 @@ export default class FileLoader extends EventEmitter {
     [onProgress] (evt) {
         if (this._loader.readyState < 2) return
         if (this._loader.status >= 400) return
-        let _loaded = this.bytesLoaded + evt.loaded
-        let _progress = this.bytesTotal ? _loaded / this.bytesTotal : 0
+        this[progress](this.bytesLoaded + evt.loaded)
+    }
+    
+    [progress] (loaded) {
+        // 文件大小未知时 progress 为 null
+        let _progress = this.bytesTotal === undefined ? null : (this.bytesTotal ? loaded / this.bytesTotal : 0)
         let _evt = {
             code: LoaderEvent.PROGRESS,
             level: EventLevel.STATUS,
             target: this,
-            loaded: _loaded,
+            loaded: loaded,
             total: this.bytesTotal,
             progress: _progress,
-            message: `FileLoader load progress ${parseInt(_progress * 100)}%（${_loaded}/${this.bytesTotal}）.`
+            message: _progress === null ? `FileLoader load progress ${loaded} bytes.` : `FileLoader load progress ${parseInt(_progress * 100)}%（${loaded}/${this.bytesTotal}）.`
         }
+        Object.assign(_evt, this._stats.update(loaded, this.bytesTotal))
         this.emit(LoaderEvent.PROGRESS, _evt)
     }
     
     [onComplete] (evt) {
         if (this._loader && this._loader.status < 400) {
             let response = this._loader.response
-            let ln = this.bytesLoaded + response.byteLength
-            const temp = new Int8Array(ln)
-            if (this.data) temp.set(new Int8Array(this.data), 0)
-            temp.set(new Int8Array(response), this.bytesLoaded)
-            
-            this.data = temp.buffer
-            this.bytesLoaded = temp.byteLength
+            this._chunk.record(response.byteLength, Date.now() - this._sliceTime)
+            this._stats.chunk()
+            this._attempts = 1
+            if (this._destination) {
+                this[store](this.bytesLoaded, new Uint8Array(response))
+            } else {
+                this[save](this.bytesLoaded, new Uint8Array(response))
+                this[append](new Uint8Array(response))
+            }
+            this.bytesLoaded += response.byteLength
+            this._contiguous = this.bytesLoaded
+            if (this.bytesTotal === undefined) this.bytesTotal = this.bytesLoaded
+            this[digest]()
+            this[progress](this.bytesLoaded)
             
-            if (this.bytesLoaded < this.bytesTotal) {
+            if (this._ranged && this.bytesLoaded < this.bytesTotal) {
                 this[slice]()
             } else {
-                this._state = 4
-                this[rline]()
-                let _evt = {
-                    code: LoaderEvent.COMPLETE,
-                    level: EventLevel.STATUS,
-                    target: this,
-                    data: this.data,
-                    message: `FileLoader load "${this._request && this._request.url}" is completed.`
-                }
-                this.emit(LoaderEvent.COMPLETE, _evt)
+                this[finish]()
+            }
+        }
+    }
+    
+    [fill] () {
+        this._state = 3
+        if (!this.data && !this._destination) this.data = new ArrayBuffer(this.bytesTotal)
+        while (this._ranges.length < this.connections) {
+            let range = this._queue.shift()
+            if (!range) {
+                if (this._next >= this.bytesTotal) break
+                range = {start: this._next, end: Math.min(this._next + this._chunk.size, this.bytesTotal) - 1}
+                this._next = range.end + 1
+            }
+            range.loaded = 0
+            this._ranges.push(range)
+            let cancel = this[throttle](range.end - range.start + 1, () => this[fetch](range))
+            if (!range.xhr) range.cancel = cancel
+        }
+    }
+    
+    [throttle] (bytes, callback) {
+        // 依次通过自身的限速器与共用的限速器
+        let limiters = [this._rateLimiter, this.limiter].filter((item) => !!item)
+        let cancel = null
+        let next = (index) => {
+            if (index >= limiters.length) {
+                callback()
+                return
+            }
+            cancel = limiters[index].acquire(bytes, () => next(index + 1))
+        }
+        next(0)
+        return () => {
+            if (cancel) cancel()
+        }
+    }
+    
+    [fetch] (range) {
+        try {
+            range.loaded = 0
+            range.time = Date.now()
+            // 重试时旧的请求已中断，只处理当前请求的事件
+            const xhr = range.xhr = Transport.create(this.transport)
+            range.xhr.addEventListener('progress', (evt) => {
+                // 已结束（或改为整体下载）的分片、重试前的旧请求不再计入进度
+                if (range.xhr !== xhr || this._ranges.indexOf(range) === -1 || xhr.readyState < 2 || xhr.status >= 400) return
+                range.loaded = evt.loaded
+                this[progress](this[received]())
+            }, false)
+            range.xhr.addEventListener('load', (evt) => {
+                if (range.xhr === xhr) this[onRange](range)
+            }, false)
+            range.xhr.addEventListener('error', (evt) => {
+                if (range.xhr === xhr) this[onError](evt)
+            }, false)
+            range.xhr.addEventListener('readystatechange', this[onHTTPStatus].bind(this), false)
+            range.xhr.open(this._request.method, this._request.url, true)
+            range.xhr.setRequestHeader('Content-Type', 'application/octet-stream')
+            range.xhr.setRequestHeader('Range', `bytes=${range.start}-${range.end}`)
+            if (this[validator]()) range.xhr.setRequestHeader('If-Range', this[validator]())
+            range.xhr.responseType = 'arraybuffer'
+            range.xhr.send(null)
+            this[watch](range.xhr)
+        } catch (err) {
+            throw err
+        }
+    }
+    
+    [onRange] (range) {
+        let index = this._ranges.indexOf(range)
+        if (index === -1 || range.xhr.status >= 400) return
+        this._ranges.splice(index, 1)
+        let response = new Uint8Array(range.xhr.response)
+        let length = Math.min(response.byteLength, range.end - range.start + 1)
+        this._chunk.record(length, Date.now() - range.time)
+        this._stats.chunk()
+        if (this._destination) {
+            if (length) this[store](range.start, response.subarray(0, length))
+        } else {
+            new Uint8Array(this.data).set(response.subarray(0, length), range.start)
+            if (length) this[save](range.start, response.subarray(0, length))
+        }
+        this.bytesLoaded += length
+        if (range.start + length <= range.end) {
+            // 服务器返回的数据不足，剩余部分重新排队
+            this._queue.unshift({start: range.start + length, end: range.end})
+        }
+        if (length) this._done.push({start: range.start, end: range.start + length - 1})
+        let merged = true
+        while (merged) {
+            merged = false
+            this._done = this._done.filter((item) => {
+                if (item.start !== this._contiguous) return true
+                this._contiguous = item.end + 1
+                merged = true
+                return false
+            })
+        }
+        this[digest]()
+        this[progress](this[received]())
+        
+        if (this.bytesLoaded < this.bytesTotal) {
+            this[fill]()
+        } else if (!this._ranges.length) {
+            this[finish]()
+        }
+    }
+    
+    [policy] () {
+        return this.retry || RetryPolicy.from(this._request && this._request.retry)
+    }
+    
+    [retry] (code, retryAfter, attempts, callback, rule = this[policy]()) {
+        // 按策略延迟后执行 callback，返回取消函数；不再重试时返回 null
+        if (!rule || !rule.retryable(attempts, code)) return null
+        let delay = rule.delay(attempts, retryAfter)
+        this._stats.retry()
+        let _evt = {
+            code: LoaderEvent.RETRY,
+            level: EventLevel.WARNING,
+            target: this,
+            attempt: attempts + 1,
+            delay: delay,
+            reason: code,
+            message: `FileLoader load "${this._request && this._request.url}" failed: #${code}, retry ${attempts + 1} in ${delay}ms.`
+        }
+        this.emit(LoaderEvent.RETRY, _evt)
+        let timer = setTimeout(callback, delay)
+        return () => clearTimeout(timer)
+    }
+    
+    [recover] (xhr, code, rule = this[policy]()) {
+        let retryAfter = xhr.readyState >= 2 ? xhr.getResponseHeader('Retry-After') : null
+        let range = this._ranges.filter((item) => item.xhr === xhr)[0]
+        if (range) return this[refetch](range, code, retryAfter, rule)
+        if (xhr !== this._xhr && xhr !== this._loader) return false
+        let probing = xhr === this._xhr
+        let cancel = this[retry](code, retryAfter, this._attempts, () => {
+            this._waiting = null
+            if (probing) {
+                this._probing = true
+                this[probe]()
+            } else {
+                this[slice]()
+            }
+        }, rule)
+        if (!cancel) return false
+        this._attempts++
+        if (xhr.readyState > 0 && xhr.readyState < 4) {
+            // 中断失败的请求，不调度 CLOSE
+            this._active_disconnect = true
+            xhr.abort()
+        }
+        // 等待重试与等待限速相同，暂停或关闭时取消
+        this._waiting = cancel
+        return true
+    }
+    
+    [refetch] (range, code, retryAfter, rule) {
+        // 多连接下载时每个分片单独计算重试次数，等待重试期间仍占用一个连接
+        let attempts = range.attempts || 1
+        let cancel = this[retry](code, retryAfter, attempts, () => {
+            range.cancel = this[throttle](range.end - range.start + 1, () => this[fetch](range))
+        }, rule)
+        if (!cancel) return false
+        let xhr = range.xhr
+        range.attempts = attempts + 1
+        range.xhr = null
+        range.loaded = 0
+        range.cancel = cancel
+        if (xhr.readyState > 0 && xhr.readyState < 4) xhr.abort()
+        return true
+    }
+    
+    [watch] (xhr) {
+        // 单个请求的超时与停滞计时，有数据到达时重新计算停滞，请求结束（loadend）时清除
+        if (!this.requestTimeout && !this.stallTimeout) return
+        let done = false
+        let timers = {}
+        let clear = () => {
+            done = true
+            clearTimeout(timers.request)
+            clearTimeout(timers.stall)
+        }
+        let stall = () => {
+            if (done || !this.stallTimeout) return
+            clearTimeout(timers.stall)
+            timers.stall = setTimeout(() => {
+                clear()
+                this[expire](xhr, true)
+            }, this.stallTimeout)
+        }
+        if (this.requestTimeout) {
+            timers.request = setTimeout(() => {
+                clear()
+                this[expire](xhr, false)
+            }, this.requestTimeout)
+        }
+        stall()
+        xhr.addEventListener('progress', stall, false)
+        xhr.addEventListener('loadend', clear, false)
+    }
+    
+    [expire] (xhr, stalled) {
+        let rule = this[policy]() || (stalled ? STALL : null)
+        if (this[recover](xhr, 408, rule)) return
+        this._active_disconnect = true
+        this[abort]()
+        this[onTimeout](stalled ? 'stalled' : 'request timeout')
+    }
+    
+    [deadline] (time) {
+        this._deadline = Date.now() + time
+        this._timer = setTimeout(() => {
+            this._timer = null
+            this._remaining = null
+            // 已出错、暂停或完成时不再处理
+            if (!this[active]()) return
+            this._active_disconnect = true
+            this[abort]()
+            this[onTimeout]('timeout')
+        }, time)
+    }
+    
+    [active] () {
+        let busy = (xhr) => !!xhr && xhr.readyState > 0 && xhr.readyState < 4
+        return busy(this._xhr) || busy(this._loader) || !!this._waiting || this._ranges.length > 0
+    }
+    
+    [onTimeout] (desc) {
+        // 超时后下载结束，清除整体超时的计时，online 事件也不再恢复下载
+        this._state = 0
+        clearTimeout(this._timer)
+        this._timer = null
+        this._remaining = null
+        this[rline]()
+        let _code = 408
+        let _err = {
+            code: _code,
+            level: EventLevel.ERROR,
+            desc: desc,
+            target: this,
+            message: `FileLoader load "${this._request && this._request.url}" ${desc}. #${_code}`
+        }
+        this.emit(LoaderEvent.ERROR, _err)
+    }
+    
+    [received] () {
+        return this._ranges.reduce((loaded, range) => loaded + range.loaded, this.bytesLoaded)
+    }
+    
+    [restore] () {
+        let storage = this.storage
+        let url = this._request && this._request.url
+        if (this._destination) {
+            let record = {url: url, etag: this._etag, lastModified: this._lastModified, total: this.bytesTotal, ranged: this._ranged}
+            return this._destination.open(record).then((loaded) => {
+                // 与 storage 相同，只从文件开头起连续的部分继续
+                loaded = Math.min(loaded, Number(this.bytesTotal) || 0)
+                if (!loaded) return
+                this.bytesLoaded = loaded
+                this._contiguous = loaded
+                this._next = loaded
+                this._stats.start(loaded)
+                this[progress](loaded)
+            }, (err) => this[onWriteError](err))
+        }
+        if (!storage || !this._ranged) return Promise.resolve()
+        return storage.get(url).then((record) => {
+            if (!record) return
+            if (Number(record.total) !== Number(this.bytesTotal) || (record.etag || null) !== this._etag || (record.lastModified || null) !== this._lastModified) {
+                // 服务器上的文件已变化，丢弃保存的数据
+                return storage.remove(url)
             }
+            return storage.chunks(url).then((chunks) => {
+                // 只恢复从文件开头起连续的部分
+                let loaded = 0
+                chunks.sort((a, b) => a.offset - b.offset).map((chunk) => {
+                    if (chunk.offset <= loaded) loaded = Math.max(loaded, chunk.offset + chunk.data.byteLength)
+                })
+                if (!loaded) return
+                loaded = Math.min(loaded, Number(this.bytesTotal))
+                let temp = new Uint8Array(Number(this.bytesTotal))
+                chunks.map((chunk) => {
+                    if (chunk.offset < loaded) temp.set(new Uint8Array(chunk.data).subarray(0, loaded - chunk.offset), chunk.offset)
+                })
+                this.data = temp.buffer
+                this.bytesLoaded = loaded
+                this._contiguous = loaded
+                this._next = loaded
+                this._stats.start(loaded)
+                this[progress](loaded)
+            })
+        }).catch(() => {
+            // 存储不可用时从头下载
+        })
+    }
+    
+    [save] (offset, bytes) {
+        if (!this.storage || !this._ranged || this._destination) return
+        let record = {
+            url: this._request && this._request.url,
+            etag: this._etag,
+            lastModified: this._lastModified,
+            total: Number(this.bytesTotal),
+            loaded: this.bytesLoaded + bytes.byteLength
+        }
+        this.storage.put(record.url, record, offset, bytes).catch(() => {
+            // 保存失败不影响下载
+        })
+    }
+    
+    [validator] () {
+        // If-Range 只接受强 ETag，弱 ETag 时改用 Last-Modified
+        if (this._etag && this._etag.indexOf('W/') !== 0) return this._etag
+        return this._lastModified
+    }
+    
+    [probe] () {
+        // open load
+        let head = this._probes[0] === LoaderProbe.HEAD
+        this._xhr.open(head ? 'HEAD' : this._request.method, this._request.url, true)
+        this._xhr.responseType = 'arraybuffer'
+        if (this._request.requestHeaders && this._request.requestHeaders.length) {
+            this._request.requestHeaders.map((item) => {
+                this._xhr.setRequestHeader(item.name, item.value)
+            })
         }
+        if (this._probes[0] === LoaderProbe.RANGE) this._xhr.setRequestHeader('Range', 'bytes=0-0')
+        this._xhr.send(head ? null : this._request.data)
+        this[watch](this._xhr)
+    }
+    
+    [reprobe] (xhr) {
+        // 没有文件大小，或服务器不支持 HEAD（405、501）、Range（416）时改用下一种方式
+        if (this._probes.length < 2) return false
+        if (xhr.status >= 400 && [405, 416, 501].indexOf(xhr.status) === -1) return false
+        this._probes.shift()
+        this._active_disconnect = true
+        this[abort]()
+        this._probing = true
+        this[probe]()
+        return true
+    }
+    
+    [size] (xhr) {
+        // 206 响应的 Content-Length 只是本段的长度，总大小取 Content-Range 中 “/” 之后的部分
+        let range = /\/(\d+)\s*$/.exec(xhr.getResponseHeader('Content-Range') || '')
+        if (xhr.status === 206) return range ? Number(range[1]) : null
+        let length = xhr.getResponseHeader('Content-Length')
+        return length === null ? null : Number(length)
+    }
+    
+    [changed] (xhr) {
+        // If-Range 不匹配时服务器返回新文件的 200 完整内容，校验值或总大小与首次响应不同
+        let etag = xhr.getResponseHeader('ETag')
+        if (etag && this._etag && etag !== this._etag) return true
+        let modified = xhr.getResponseHeader('Last-Modified')
+        if (modified && this._lastModified && modified !== this._lastModified) return true
+        let total = this[size](xhr)
+        return total !== null && total !== Number(this.bytesTotal)
+    }
+    
+    [clear] () {
+        let url = this._request && this._request.url
+        if (this.storage) this.storage.remove(url).catch(() => {})
+        if (this._destination) this._destination.reset().catch((err) => this[onWriteError](err))
+        this.data = null
+        this.bytesLoaded = 0
+        this._contiguous = 0
+        this._next = 0
+        this._ranges = []
+        this._queue = []
+        this._done = []
+        if (this._integrity) this._integrity.reset()
+    }
+    
+    [onChanged] () {
+        this._active_disconnect = true
+        this[abort]()
+        this[rline]()
+        let url = this._request && this._request.url
+        this[clear]()
+        if (this.restartOnChange) {
+            this._state = 1
+            this.load()
+            return
+        }
+        this._state = 0
+        let _code = 1006
+        let _desc = 'file changed on server'
+        let _err = {
+            code: _code,
+            level: EventLevel.ERROR,
+            desc: _desc,
+            target: this,
+            message: `FileLoader load "${url}" failed, the file has changed on the server: #${_code}`
+        }
+        this.emit(LoaderEvent.ERROR, _err)
+    }
+    
+    [fallback] (xhr) {
+        // 直接使用这个完整内容的响应整体下载，不再重新请求；多连接时中断其余分片
+        this._ranges.splice(0).map((range) => {
+            if (range.xhr === xhr) {
+                // 该请求的事件改由整体下载处理，分片自身的监听不再处理
+                range.xhr = null
+                return
+            }
+            if (range.xhr) {
+                range.xhr.abort()
+            } else {
+                range.cancel()
+            }
+        })
+        this[clear]()
+        this._ranged = false
+        this._parallel = false
+        if (xhr !== this._loader) {
+            this._sliceTime = Date.now()
+            this._loader = xhr
+            xhr.addEventListener('progress', this[onProgress].bind(this), false)
+            xhr.addEventListener('abort', this[onClose].bind(this), false)
+            xhr.addEventListener('load', this[onComplete].bind(this), false)
+            xhr.addEventListener('error', this[onError].bind(this), false)
+        }
+        this[unranged]()
+    }
+    
+    [unranged] () {
+        let _evt = {
+            code: LoaderEvent.RESUME_UNAVAILABLE,
+            level: EventLevel.WARNING,
+            desc: 'range not supported',
+            target: this,
+            message: `FileLoader "${this._request && this._request.url}" does not support Range requests, downloading as a whole without resume.`
+        }
+        this.emit(LoaderEvent.RESUME_UNAVAILABLE, _evt)
+    }
+    
+    [digest] () {
+        // 摘要只能按顺序计算，多连接下载时只计算从开头起连续的部分
+        let integrity = this._integrity
+        if (!integrity || this._contiguous <= integrity.length || this._destination) return
+        integrity.update(new Uint8Array(this.data, integrity.length, this._contiguous - integrity.length))
+    }
+    
+    [finish] () {
+        clearTimeout(this._timer)
+        this._timer = null
+        this[digest]()
+        this._state = 4
+        this[rline]()
+        if (this._destination) {
+            this[commit]()
+            return
+        }
+        if (this.storage) this.storage.remove(this._request && this._request.url).catch(() => {})
+        // 截去扩容时多分配的部分
+        if (this.data && this.data.byteLength > this.bytesLoaded) this.data = this.data.slice(0, this.bytesLoaded)
+        if (this._integrity && !this._integrity.verify()) {
+            this[mismatch]()
+            return
+        }
+        if (Archive.isArchive(this.dataFormat)) {
+            this[unpack](this.data)
+            return
+        }
+        let _evt = {
+            code: LoaderEvent.COMPLETE,
+            level: EventLevel.STATUS,
+            target: this,
+            data: this.data,
+            message: `FileLoader load "${this._request && this._request.url}" is completed.`
+        }
+        this.emit(LoaderEvent.COMPLETE, _evt)
+    }
+    
+    [append] (bytes) {
+        // 文件大小已知时只分配一次，未知时按倍数扩容，避免每个分片都复制已下载的全部数据
+        let ln = this.bytesLoaded + bytes.byteLength
+        let capacity = this.data ? this.data.byteLength : 0
+        if (capacity < ln) {
+            const temp = new Uint8Array(this.bytesTotal >= ln ? this.bytesTotal : Math.max(ln, capacity * 2))
+            if (this.data) temp.set(new Uint8Array(this.data, 0, this.bytesLoaded), 0)
+            this.data = temp.buffer
+        }
+        new Uint8Array(this.data).set(bytes, this.bytesLoaded)
+    }
+    
+    [commit] () {
+        // 续传或多连接下载时摘要未包含的部分从文件读回计算，校验通过后 .part 改名为目标文件
+        let destination = this._destination
+        let integrity = this._integrity
+        let total = this.bytesLoaded
+        let verify = () => {
+            if (!integrity || integrity.length >= total) return Promise.resolve()
+            return destination.read(integrity.length, Math.min(total - integrity.length, 1048576)).then((bytes) => {
+                if (!bytes.byteLength) throw new Error(`FileLoader destination "${destination.path}" is truncated.`)
+                integrity.update(bytes)
+                return verify()
+            })
+        }
+        verify().then(() => {
+            if (integrity && !integrity.verify()) {
+                destination.remove().catch(() => {})
+                return this[mismatch]()
+            }
+            let archive = Archive.isArchive(this.dataFormat)
+            return (archive ? destination.read(0, total) : Promise.resolve(null)).then((bytes) => {
+                return destination.finish().then((file) => {
+                    if (this._destination !== destination) return
+                    if (archive) {
+                        this[unpack](bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength))
+                        return
+                    }
+                    this.data = file
+                    let _evt = {
+                        code: LoaderEvent.COMPLETE,
+                        level: EventLevel.STATUS,
+                        target: this,
+                        data: this.data,
+                        message: `FileLoader load "${this._request && this._request.url}" is completed.`
+                    }
+                    this.emit(LoaderEvent.COMPLETE, _evt)
+                })
+            })
+        }).catch((err) => this[onWriteError](err))
+    }
+    
+    [store] (offset, bytes) {
+        // 按顺序到达的分片直接计算摘要，其余部分完成后从文件读回
+        let integrity = this._integrity
+        if (integrity && integrity.length === offset) integrity.update(bytes)
+        this._destination.write(offset, bytes).catch((err) => this[onWriteError](err))
+    }
+    
+    [mismatch] () {
+        this._state = 0
+        let _code = 1007
+        let _desc = 'integrity check failed'
+        let _err = {
+            code: _code,
+            level: EventLevel.ERROR,
+            desc: _desc,
+            target: this,
+            message: `FileLoader load "${this._request && this._request.url}" failed, ${this._integrity.algorithm} checksum mismatch: #${_code}`
+        }
+        this.emit(LoaderEvent.ERROR, _err)
+    }
+    
+    [onWriteError] (err) {
+        // 已出错或已关闭时只报告一次
+        if (this._state === 0 || !this._destination) return
+        this._active_disconnect = true
+        this[abort]()
+        this[rline]()
+        clearTimeout(this._timer)
+        this._timer = null
+        this._state = 0
+        let _code = 1008
+        let _desc = 'write failed'
+        let _err = {
+            code: _code,
+            level: EventLevel.ERROR,
+            desc: _desc,
+            target: this,
+            message: `FileLoader write "${this._destination.path}" failed, ${err && err.message}: #${_code}`
+        }
+        this.emit(LoaderEvent.ERROR, _err)
+    }
+    
+    [unpack] (response) {
+        Archive.open(response, this.dataFormat, {url: this._request && this._request.url}).then((archive) => {
+            this._archive = archive
+            this.data = archive.files
+            let _evt = {
+                code: LoaderEvent.COMPLETE,
+                level: EventLevel.STATUS,
+                target: this,
+                data: this.data,
+                manifest: archive.manifest,
+                message: `FileLoader load "${this._request && this._request.url}" is completed.`
+            }
+            this.emit(LoaderEvent.COMPLETE, _evt)
+        }, (err) => {
+            let _err = {
+                code: err.code,
+                level: EventLevel.ERROR,
+                desc: err.desc,
+                target: this,
+                message: `FileLoader load "${this._request && this._request.url}" failed: #${err.code}`
+            }
+            this.emit(LoaderEvent.ERROR, _err)
+        })
+    }
+    
+    [unloaded] (key) {
+        return Promise.reject(new LoaderError({
+            code: 1003,
+            level: EventLevel.ERROR,
+            desc: 'archive not loaded',
+            target: this,
+            message: `FileLoader get file "${key}" failed: #1003`
+        }))
     }
     
     [online] () {
@@ -392,6 +1523,11 @@ export default class FileLoader extends EventEmitter {
         }
     }
     
+    [disconnected] () {
+        // Node 中没有 navigator.onLine，由 NodeTransport 在网络不可达时通知 NetworkState
+        return !NetworkState.onLine || (typeof navigator !== 'undefined' && navigator.onLine === false)
+    }
+    
     [offline] () {
         let _evt = {
             code: 'offline',
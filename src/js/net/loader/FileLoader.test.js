@@ -0,0 +1,704 @@
+import {describe, it, expect, vi, beforeEach, afterEach} from 'vitest'
+import crypto from 'crypto'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import MockServer from '../../../../test/MockServer'
+import FileLoader from './FileLoader'
+import URLRequest from './URLRequest'
+import LoaderEvent from '../../events/LoaderEvent'
+import LoaderProbe from './LoaderProbe'
+import RateLimiter from './RateLimiter'
+import NetworkState from '../transport/NetworkState'
+import FileDestination from '../storage/FileDestination'
+
+const FILE = 'http://127.0.0.1/file.bin'
+
+const bytes = (length, seed = 0) => Uint8Array.from({length: length}, (_, i) => (i * 7 + seed) & 0xff)
+
+const serve = (handler) => {
+    const server = new MockServer(handler)
+    vi.stubGlobal('XMLHttpRequest', server.XMLHttpRequest)
+    return server
+}
+
+// 按 Range 与 If-Range 返回分段内容的 handler，下载过程中可修改 state 模拟服务器上的文件变化
+const versioned = (state) => (request) => {
+    let headers = {}
+    if (state.etag) headers['ETag'] = state.etag
+    if (state.lastModified) headers['Last-Modified'] = state.lastModified
+    let ifRange = request.headers['if-range']
+    if (ifRange && ifRange !== state.etag && ifRange !== state.lastModified) return {body: state.body, headers: headers}
+    let response = MockServer.file(state.body, headers)(request)
+    if (state.total && response.status === 206) {
+        response.headers['Content-Range'] = response.headers['Content-Range'].replace(/\/\d+$/, `/${state.total}`)
+    }
+    return response
+}
+
+// 只保存在内存中的 storage，接口同 IDBStorage
+const memory = () => {
+    const records = {}
+    return {
+        records: records,
+        get: (url) => Promise.resolve(records[url] ? records[url].record : null),
+        chunks: (url) => Promise.resolve(records[url] ? records[url].chunks.slice() : []),
+        put: (url, record, offset, data) => {
+            if (!records[url]) records[url] = {record: null, chunks: []}
+            records[url].record = record
+            records[url].chunks.push({offset: offset, data: data.slice().buffer})
+            return Promise.resolve()
+        },
+        remove: (url) => {
+            delete records[url]
+            return Promise.resolve()
+        }
+    }
+}
+
+const ranges = (server) => server.requests.filter((item) => item.method === 'GET' && item.headers['range']).map((item) => item.headers['range'])
+
+describe('FileLoader', () => {
+    beforeEach(() => {
+        vi.stubGlobal('window', new EventTarget())
+    })
+    
+    afterEach(() => {
+        vi.unstubAllGlobals()
+    })
+    
+    it('requests slices of chunkSize bytes', async () => {
+        const body = bytes(2500)
+        const server = serve(MockServer.file(body))
+        const loader = new FileLoader()
+        loader.chunkSize = 1000
+        const data = await loader.load(new URLRequest(FILE))
+        expect(ranges(server)).toEqual(['bytes=0-999', 'bytes=1000-1999', 'bytes=2000-2999'])
+        expect(Buffer.from(data).equals(body)).toBe(true)
+        expect(() => {
+            loader.chunkSize = 0
+        }).toThrow(TypeError)
+    })
+    
+    it('grows the slices with adaptive sizing on a fast connection', async () => {
+        const body = bytes(1024 * 1024)
+        const server = serve(MockServer.file(body))
+        const loader = new FileLoader()
+        loader.chunkSize = 65536
+        loader.adaptive = true
+        await loader.load(new URLRequest(FILE))
+        let sizes = ranges(server).map((range) => {
+            let match = /^bytes=(\d+)-(\d+)$/.exec(range)
+            return Number(match[2]) - Number(match[1]) + 1
+        })
+        expect(sizes[0]).toBe(65536)
+        expect(sizes[1]).toBe(131072)
+        expect(sizes.length).toBeLessThan(1024 * 1024 / 65536)
+    })
+    
+    it('fills a buffer allocated once for the file size', async () => {
+        const body = bytes(5000)
+        serve(MockServer.file(body))
+        const loader = new FileLoader()
+        loader.chunkSize = 1000
+        let buffers = new Set()
+        loader.on(LoaderEvent.PROGRESS, () => {
+            if (loader.data) buffers.add(loader.data)
+        })
+        const data = await loader.load(new URLRequest(FILE))
+        expect(buffers.size).toBe(1)
+        expect([...buffers][0].byteLength).toBe(5000)
+        expect(Buffer.from(data).equals(body)).toBe(true)
+    })
+    
+    it('downloads ranges over several connections out of order', async () => {
+        const body = bytes(6000)
+        const file = MockServer.file(body)
+        let active = 0
+        let peak = 0
+        const server = serve((request) => {
+            if (!request.headers['range']) return file(request)
+            active++
+            peak = Math.max(peak, active)
+            // 靠前的分片较慢，使分片乱序完成
+            let delay = request.headers['range'] === 'bytes=0-999' ? 30 : 5
+            return new Promise((resolve) => setTimeout(resolve, delay)).then(() => {
+                active--
+                return file(request)
+            })
+        })
+        const loader = new FileLoader()
+        loader.chunkSize = 1000
+        loader.connections = 3
+        let contiguous = []
+        loader.on(LoaderEvent.PROGRESS, () => contiguous.push([loader.bytesContiguous, loader.bytesLoaded]))
+        const data = await loader.load(new URLRequest(FILE))
+        expect(Buffer.from(data).equals(body)).toBe(true)
+        expect(peak).toBe(3)
+        expect(ranges(server).length).toBe(6)
+        expect(contiguous.some(([head, loaded]) => head === 0 && loaded > 0)).toBe(true)
+        contiguous.map(([head, loaded]) => expect(head).toBeLessThanOrEqual(loaded))
+        expect(loader.bytesContiguous).toBe(6000)
+        expect(() => {
+            loader.connections = 0
+        }).toThrow(TypeError)
+    })
+    
+    it('queues failed ranges while offline and resumes when the network is back', async () => {
+        vi.stubGlobal('navigator', {onLine: false})
+        const body = bytes(4000)
+        const file = MockServer.file(body)
+        let failed = 0
+        serve((request) => {
+            if (request.headers['range'] && navigator.onLine === false) {
+                failed++
+                return {error: true}
+            }
+            return file(request)
+        })
+        const loader = new FileLoader()
+        loader.chunkSize = 1000
+        loader.connections = 2
+        let errors = []
+        loader.on(LoaderEvent.ERROR, (evt) => errors.push(evt.code))
+        const result = loader.load(new URLRequest(FILE))
+        await vi.waitFor(() => expect(failed).toBe(2))
+        vi.stubGlobal('navigator', {onLine: true})
+        window.dispatchEvent(new Event('online'))
+        expect(Buffer.from(await result).equals(body)).toBe(true)
+        expect(errors).toEqual([])
+    })
+    
+    it('queues failed ranges while NetworkState is offline', async () => {
+        const body = bytes(3000)
+        const file = MockServer.file(body)
+        let failed = 0
+        serve((request) => {
+            if (request.headers['range'] === 'bytes=1000-1999' && !failed++) {
+                // 与 NodeTransport 相同，请求因网络不可达失败前通知断网
+                NetworkState.offline()
+                return {error: true}
+            }
+            return file(request)
+        })
+        const loader = new FileLoader()
+        loader.chunkSize = 1000
+        const result = loader.load(new URLRequest(FILE))
+        await vi.waitFor(() => expect(failed).toBe(1))
+        NetworkState.online()
+        expect(Buffer.from(await result).equals(body)).toBe(true)
+    })
+    
+    it('rejects with #1000 and stops the other ranges when a range fails while online', async () => {
+        const file = MockServer.file(bytes(6000))
+        const server = serve((request) => request.headers['range'] === 'bytes=1000-1999' ? {error: true} : Object.assign(file(request), {delay: 20}))
+        const loader = new FileLoader()
+        loader.chunkSize = 1000
+        loader.connections = 3
+        let errors = []
+        loader.on(LoaderEvent.ERROR, (evt) => errors.push(evt.code))
+        await expect(loader.load(new URLRequest(FILE))).rejects.toMatchObject({code: 1000})
+        await new Promise((resolve) => setTimeout(resolve, 50))
+        expect(errors).toEqual([1000])
+        expect(ranges(server).length).toBe(3)
+    })
+    
+    it('resumes from the contiguous data in storage', async () => {
+        const body = bytes(3500)
+        const server = serve(MockServer.file(body, {'ETag': '"v1"'}))
+        const storage = memory()
+        const record = {url: FILE, etag: '"v1"', lastModified: null, total: 3500, loaded: 2000}
+        storage.put(FILE, record, 0, body.slice(0, 1000))
+        storage.put(FILE, record, 1000, body.slice(1000, 2000))
+        // 不连续的分片不恢复
+        storage.put(FILE, record, 3000, body.slice(3000, 3500))
+        const loader = new FileLoader()
+        loader.chunkSize = 1000
+        loader.storage = storage
+        const data = await loader.load(new URLRequest(FILE))
+        expect(Buffer.from(data).equals(body)).toBe(true)
+        expect(ranges(server)).toEqual(['bytes=2000-2999', 'bytes=3000-3999'])
+        expect(storage.records[FILE]).toBe(undefined)
+    })
+    
+    it('discards stored data saved for another version of the file', async () => {
+        const body = bytes(3500)
+        const server = serve(MockServer.file(body, {'ETag': '"v1"'}))
+        const storage = memory()
+        storage.put(FILE, {url: FILE, etag: '"v0"', lastModified: null, total: 3500, loaded: 1000}, 0, bytes(1000, 9))
+        const loader = new FileLoader()
+        loader.chunkSize = 1000
+        loader.storage = storage
+        const data = await loader.load(new URLRequest(FILE))
+        expect(Buffer.from(data).equals(body)).toBe(true)
+        expect(ranges(server)[0]).toBe('bytes=0-999')
+    })
+    
+    it('saves each finished chunk until the download completes', async () => {
+        const body = bytes(3500)
+        const file = MockServer.file(body, {'ETag': '"v1"'})
+        serve((request) => request.headers['range'] === 'bytes=2000-2999' ? {error: true} : file(request))
+        const storage = memory()
+        const loader = new FileLoader()
+        loader.chunkSize = 1000
+        loader.storage = storage
+        await expect(loader.load(new URLRequest(FILE))).rejects.toMatchObject({code: 1000})
+        expect(storage.records[FILE].record).toMatchObject({etag: '"v1"', total: 3500, loaded: 2000})
+        expect(storage.records[FILE].chunks.map((chunk) => [chunk.offset, chunk.data.byteLength])).toEqual([[0, 1000], [1000, 1000]])
+    })
+    
+    it('validates every slice with If-Range', async () => {
+        const state = {body: bytes(1500), etag: '"v1"', lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT'}
+        const server = serve(versioned(state))
+        const loader = new FileLoader()
+        loader.chunkSize = 1000
+        await loader.load(new URLRequest(FILE))
+        let slices = server.requests.filter((item) => item.headers['range'])
+        expect(slices.map((item) => item.headers['if-range'])).toEqual(['"v1"', '"v1"'])
+        // 弱 ETag 不能用于 If-Range，改用 Last-Modified
+        state.etag = 'W/"v1"'
+        server.requests.length = 0
+        await new FileLoader().load(new URLRequest(FILE))
+        expect(server.requests.filter((item) => item.headers['range']).map((item) => item.headers['if-range'])).toEqual([state.lastModified])
+    })
+    
+    it('fails with #1006 when the file changes between slices', async () => {
+        const state = {body: bytes(3500), etag: '"v1"'}
+        serve(versioned(state))
+        const loader = new FileLoader()
+        loader.chunkSize = 1000
+        loader.on(LoaderEvent.PROGRESS, (evt) => {
+            if (evt.loaded >= 1000) state.etag = '"v2"'
+        })
+        await expect(loader.load(new URLRequest(FILE))).rejects.toMatchObject({code: 1006, desc: 'file changed on server'})
+        expect(loader.data).toBe(null)
+    })
+    
+    it('fails with #1006 when the total size in Content-Range changes', async () => {
+        const state = {body: bytes(3500)}
+        serve(versioned(state))
+        const loader = new FileLoader()
+        loader.chunkSize = 1000
+        loader.on(LoaderEvent.PROGRESS, (evt) => {
+            if (evt.loaded >= 1000) state.total = 4000
+        })
+        await expect(loader.load(new URLRequest(FILE))).rejects.toMatchObject({code: 1006})
+    })
+    
+    it('starts over with restartOnChange when the file changes', async () => {
+        const state = {body: bytes(3500), etag: '"v1"'}
+        serve(versioned(state))
+        const loader = new FileLoader()
+        loader.chunkSize = 1000
+        loader.restartOnChange = true
+        loader.on(LoaderEvent.PROGRESS, (evt) => {
+            if (evt.loaded >= 1000 && state.etag === '"v1"') {
+                state.etag = '"v2"'
+                state.body = bytes(2500, 3)
+            }
+        })
+        const data = await loader.load(new URLRequest(FILE))
+        expect(Buffer.from(data).equals(state.body)).toBe(true)
+        expect(Number(loader.bytesTotal)).toBe(2500)
+    })
+    
+    it('reads the total size from Content-Range', async () => {
+        const body = bytes(2500)
+        const file = MockServer.file(body)
+        // 首个请求即返回 206，Content-Length 只是本段的长度
+        const server = serve((request) => file(Object.assign({}, request, {headers: {range: request.headers['range'] || 'bytes=0-99'}})))
+        const loader = new FileLoader()
+        loader.chunkSize = 1000
+        const data = await loader.load(new URLRequest(FILE))
+        expect(loader.bytesTotal).toBe(2500)
+        expect(Buffer.from(data).equals(body)).toBe(true)
+        expect(ranges(server)).toEqual(['bytes=0-999', 'bytes=1000-1999', 'bytes=2000-2999'])
+    })
+    
+    it('downloads as a whole from the first response when the server ignores Range', async () => {
+        for (let connections of [1, 3]) {
+            const body = bytes(3500)
+            const server = serve(() => ({body: body, chunk: 500}))
+            const loader = new FileLoader()
+            loader.chunkSize = 1000
+            loader.connections = connections
+            let events = []
+            let loaded = []
+            loader.on(LoaderEvent.RESUME_UNAVAILABLE, (evt) => events.push(evt.desc))
+            loader.on(LoaderEvent.PROGRESS, (evt) => loaded.push(evt.loaded))
+            const data = await loader.load(new URLRequest(FILE))
+            expect(Buffer.from(data).equals(body)).toBe(true)
+            expect(events).toEqual(['range not supported'])
+            expect(loaded).toEqual(Array.from({length: 7}, (_, i) => (i + 1) * 500).concat([3500]))
+            // 忽略 Range 的 200 响应直接作为整体下载使用，不再重新请求
+            expect(server.requests.length).toBe(1 + connections)
+        }
+    })
+    
+    it('downloads as a whole without Range when Accept-Ranges is none', async () => {
+        const body = bytes(2500)
+        const server = serve(() => ({body: body, headers: {'Accept-Ranges': 'none'}}))
+        const loader = new FileLoader()
+        loader.chunkSize = 1000
+        let events = []
+        loader.on(LoaderEvent.RESUME_UNAVAILABLE, (evt) => events.push(evt.code))
+        const data = await loader.load(new URLRequest(FILE))
+        expect(Buffer.from(data).equals(body)).toBe(true)
+        expect(events).toEqual([LoaderEvent.RESUME_UNAVAILABLE])
+        expect(ranges(server)).toEqual([])
+        expect(server.requests.length).toBe(2)
+    })
+    
+    it('probes the size with HEAD before downloading', async () => {
+        const body = bytes(1500)
+        const server = serve(MockServer.file(body))
+        const loader = new FileLoader()
+        loader.chunkSize = 1000
+        let starts = 0
+        loader.on(LoaderEvent.START, () => starts++)
+        await loader.load(new URLRequest(FILE))
+        expect(server.requests.map((item) => [item.method, item.headers['range']])).toEqual([
+            ['HEAD', undefined], ['GET', 'bytes=0-999'], ['GET', 'bytes=1000-1999']
+        ])
+        expect(starts).toBe(1)
+        expect(() => {
+            loader.probe = 'post'
+        }).toThrow(TypeError)
+    })
+    
+    it('falls back to a one-byte Range and then an aborted GET', async () => {
+        const body = bytes(1500)
+        const file = MockServer.file(body)
+        // 不支持 HEAD，Range 探测的响应中没有 Content-Range
+        let server = serve((request) => {
+            if (request.method === 'HEAD') return {status: 405}
+            if (request.headers['range'] === 'bytes=0-0') return {status: 416}
+            return file(request)
+        })
+        let loader = new FileLoader()
+        let starts = 0
+        loader.on(LoaderEvent.START, () => starts++)
+        let data = await loader.load(new URLRequest(FILE))
+        expect(Buffer.from(data).equals(body)).toBe(true)
+        expect(server.requests.slice(0, 3).map((item) => [item.method, item.headers['range']])).toEqual([
+            ['HEAD', undefined], ['GET', 'bytes=0-0'], ['GET', undefined]
+        ])
+        expect(starts).toBe(1)
+        // HEAD 响应中没有文件大小时，从 Range 探测的 Content-Range 中取得
+        server = serve((request) => request.method === 'HEAD' ? {length: false} : file(request))
+        loader = new FileLoader()
+        data = await loader.load(new URLRequest(FILE))
+        expect(Buffer.from(data).equals(body)).toBe(true)
+        expect(loader.bytesTotal).toBe(1500)
+        expect(server.requests[1].headers['range']).toBe('bytes=0-0')
+    })
+    
+    it('starts with the configured probe', async () => {
+        const server = serve(MockServer.file(bytes(100)))
+        for (let [probe, first] of [[LoaderProbe.RANGE, 'bytes=0-0'], [LoaderProbe.GET, undefined]]) {
+            server.requests.length = 0
+            const loader = new FileLoader()
+            loader.probe = probe
+            await loader.load(new URLRequest(FILE))
+            expect([server.requests[0].method, server.requests[0].headers['range']]).toEqual(['GET', first])
+        }
+    })
+    
+    it('streams a file of unknown size and fills bytesTotal at the end', async () => {
+        const body = bytes(3500)
+        // 分块传输，没有 Content-Length，也不支持 Range
+        const server = serve(() => ({body: body, length: false, chunk: 1000}))
+        const loader = new FileLoader()
+        loader.chunkSize = 1000
+        let progress = []
+        let unavailable = 0
+        loader.on(LoaderEvent.PROGRESS, (evt) => progress.push([evt.progress, evt.total]))
+        loader.on(LoaderEvent.RESUME_UNAVAILABLE, () => unavailable++)
+        const data = await loader.load(new URLRequest(FILE))
+        expect(Buffer.from(data).equals(body)).toBe(true)
+        expect(loader.bytesTotal).toBe(3500)
+        expect(progress.length).toBeGreaterThan(2)
+        expect(progress.slice(0, -1).every(([value, total]) => value === null && total === undefined)).toBe(true)
+        expect(progress[progress.length - 1]).toEqual([1, 3500])
+        expect(unavailable).toBe(0)
+        expect(server.requests.filter((item) => item.method === 'GET').map((item) => item.headers['range'])).toEqual(['bytes=0-0', undefined, undefined])
+    })
+    
+    it('verifies URLRequest.integrity and the checksum option over parallel ranges', async () => {
+        const body = bytes(5500)
+        serve(MockServer.file(body))
+        const request = new URLRequest(FILE)
+        request.integrity = `sha256-${crypto.createHash('sha256').update(body).digest('base64')}`
+        let loader = new FileLoader()
+        loader.chunkSize = 1000
+        loader.connections = 3
+        expect(Buffer.from(await loader.load(request)).equals(body)).toBe(true)
+        // checksum 优先于 URLRequest.integrity
+        loader = new FileLoader()
+        loader.chunkSize = 1000
+        loader.checksum = `md5-${crypto.createHash('md5').update(body).digest('hex')}`
+        expect(Buffer.from(await loader.load(request)).equals(body)).toBe(true)
+        expect(() => {
+            loader.checksum = 'sha1-abc'
+        }).toThrow(TypeError)
+    })
+    
+    it('fails with #1007 instead of completing when the checksum does not match', async () => {
+        serve(MockServer.file(bytes(2500)))
+        const loader = new FileLoader()
+        loader.chunkSize = 1000
+        loader.checksum = 'crc32-00000000'
+        let completed = false
+        loader.on(LoaderEvent.COMPLETE, () => {
+            completed = true
+        })
+        await expect(loader.load(new URLRequest(FILE))).rejects.toMatchObject({code: 1007, desc: 'integrity check failed'})
+        expect(completed).toBe(false)
+    })
+    
+    it('spaces out slices with maxBytesPerSecond and a shared limiter', async () => {
+        const body = bytes(4000)
+        const server = serve(MockServer.file(body))
+        const limiter = new RateLimiter(40000)
+        const loaders = [new FileLoader(), new FileLoader()]
+        loaders.map((loader) => {
+            loader.chunkSize = 1000
+            loader.limiter = limiter
+        })
+        loaders[1].maxBytesPerSecond = 1000000
+        const start = Date.now()
+        const results = await Promise.all(loaders.map((loader) => loader.load(new URLRequest(FILE))))
+        results.map((data) => expect(Buffer.from(data).equals(body)).toBe(true))
+        // 两个加载器共用 40000 字节/秒，8000 字节中首个分片立即放行
+        expect(Date.now() - start).toBeGreaterThanOrEqual(170)
+        expect(ranges(server).length).toBe(8)
+        expect(loaders[0].maxBytesPerSecond).toBe(0)
+    })
+    
+    it('cancels a throttled slice when closed', async () => {
+        const server = serve(MockServer.file(bytes(3000)))
+        const loader = new FileLoader()
+        loader.chunkSize = 1000
+        loader.maxBytesPerSecond = 1000
+        let result = loader.load(new URLRequest(FILE))
+        await vi.waitFor(() => expect(ranges(server).length).toBe(1))
+        await new Promise((resolve) => setTimeout(resolve, 20))
+        loader.close()
+        await expect(result).rejects.toMatchObject({code: LoaderEvent.CLOSE})
+        await new Promise((resolve) => setTimeout(resolve, 50))
+        expect(ranges(server).length).toBe(1)
+    })
+    
+    it('cancels throttled ranges when the server ignores Range', async () => {
+        const body = bytes(3000)
+        const server = serve(() => ({body: body}))
+        const loader = new FileLoader()
+        loader.chunkSize = 1000
+        loader.connections = 3
+        loader.maxBytesPerSecond = 10000
+        const data = await loader.load(new URLRequest(FILE))
+        expect(Buffer.from(data).equals(body)).toBe(true)
+        await new Promise((resolve) => setTimeout(resolve, 250))
+        expect(server.requests.map((item) => item.method)).toEqual(['HEAD', 'GET'])
+    })
+    
+    it('adds transfer statistics to PROGRESS events', async () => {
+        serve(MockServer.file(bytes(3000)))
+        const loader = new FileLoader()
+        loader.chunkSize = 1000
+        let events = []
+        loader.on(LoaderEvent.PROGRESS, (evt) => events.push(evt))
+        await loader.load(new URLRequest(FILE))
+        events.map((evt) => {
+            expect(Object.keys(evt)).toEqual(expect.arrayContaining(['speed', 'averageSpeed', 'eta', 'elapsed', 'chunks', 'retries']))
+        })
+        expect(events[events.length - 1]).toMatchObject({loaded: 3000, chunks: 3, retries: 0, eta: expect.any(Number)})
+    })
+    
+    it('retries the failed slice and keeps the downloaded data', async () => {
+        const body = bytes(3000)
+        const file = MockServer.file(body)
+        let failures = {'bytes=1000-1999': [{error: true}, {status: 503, headers: {'Retry-After': '0'}}]}
+        const server = serve((request) => {
+            let queue = failures[request.headers['range']]
+            return queue && queue.length ? queue.shift() : file(request)
+        })
+        const loader = new FileLoader()
+        loader.chunkSize = 1000
+        loader.retry = {base: 1, jitter: 0}
+        let retries = []
+        loader.on(LoaderEvent.RETRY, (evt) => retries.push([evt.attempt, evt.reason]))
+        const data = await loader.load(new URLRequest(FILE))
+        expect(Buffer.from(data).equals(body)).toBe(true)
+        expect(retries).toEqual([[2, 1000], [3, 503]])
+        expect(ranges(server)).toEqual(['bytes=0-999', 'bytes=1000-1999', 'bytes=1000-1999', 'bytes=1000-1999', 'bytes=2000-2999'])
+    })
+    
+    it('retries each range on its own over several connections', async () => {
+        const body = bytes(5000)
+        const file = MockServer.file(body)
+        let failed = {}
+        const server = serve((request) => {
+            let range = request.headers['range']
+            if (range && range !== 'bytes=0-999' && !failed[range]) {
+                failed[range] = true
+                return {status: 502}
+            }
+            return file(request)
+        })
+        const loader = new FileLoader()
+        loader.chunkSize = 1000
+        loader.connections = 3
+        loader.retry = {base: 1, maxAttempts: 2}
+        let retries = 0
+        loader.on(LoaderEvent.RETRY, (evt) => {
+            retries++
+            expect(evt.attempt).toBe(2)
+        })
+        const data = await loader.load(new URLRequest(FILE))
+        expect(Buffer.from(data).equals(body)).toBe(true)
+        expect(retries).toBe(4)
+        expect(ranges(server).length).toBe(9)
+    })
+    
+    it('fails with #1000 once the retries of a slice run out', async () => {
+        const file = MockServer.file(bytes(3000))
+        serve((request) => request.headers['range'] === 'bytes=1000-1999' ? {error: true} : file(request))
+        const loader = new FileLoader()
+        loader.chunkSize = 1000
+        loader.retry = {base: 1, maxAttempts: 3}
+        let retries = 0
+        loader.on(LoaderEvent.RETRY, () => retries++)
+        await expect(loader.load(new URLRequest(FILE))).rejects.toMatchObject({code: 1000})
+        expect(retries).toBe(2)
+    })
+    
+    it('fails with #408 when the whole download takes longer than timeout', async () => {
+        const file = MockServer.file(bytes(3000))
+        const server = serve((request) => Object.assign(file(request), {delay: 20}))
+        const loader = new FileLoader()
+        loader.chunkSize = 1000
+        loader.timeout = 50
+        let errors = []
+        loader.on(LoaderEvent.ERROR, (evt) => errors.push([evt.code, evt.desc]))
+        await expect(loader.load(new URLRequest(FILE))).rejects.toMatchObject({code: 408, desc: 'timeout'})
+        // 超时后下载结束，不再恢复
+        expect(loader.state).toBe(0)
+        let requests = server.requests.length
+        loader.resume()
+        window.dispatchEvent(new Event('online'))
+        await new Promise((resolve) => setTimeout(resolve, 80))
+        expect(server.requests.length).toBe(requests)
+        expect(errors).toEqual([[408, 'timeout']])
+        expect(() => {
+            loader.timeout = -1
+        }).toThrow(TypeError)
+    })
+    
+    it('retries a request that exceeds requestTimeout', async () => {
+        const body = bytes(2000)
+        const file = MockServer.file(body)
+        let held = false
+        serve((request) => {
+            if (request.headers['range'] === 'bytes=1000-1999' && !held) {
+                held = true
+                return {hold: true}
+            }
+            return file(request)
+        })
+        const loader = new FileLoader()
+        loader.chunkSize = 1000
+        loader.requestTimeout = 30
+        loader.retry = {base: 1}
+        let retries = []
+        loader.on(LoaderEvent.RETRY, (evt) => retries.push(evt.reason))
+        const data = await loader.load(new URLRequest(FILE))
+        expect(Buffer.from(data).equals(body)).toBe(true)
+        expect(retries).toEqual([408])
+    })
+    
+    it('refetches a stalled slice once and then fails with #408', async () => {
+        const file = MockServer.file(bytes(2000))
+        const server = serve((request) => {
+            // 第二个分片先到达一部分，之后不再有数据
+            if (request.headers['range'] === 'bytes=1000-1999') return Object.assign(file(request), {chunk: 100, delay: 1000})
+            return file(request)
+        })
+        const loader = new FileLoader()
+        loader.chunkSize = 1000
+        loader.stallTimeout = 30
+        let retries = 0
+        loader.on(LoaderEvent.RETRY, () => retries++)
+        await expect(loader.load(new URLRequest(FILE))).rejects.toMatchObject({code: 408, desc: 'stalled'})
+        expect(retries).toBe(1)
+        expect(ranges(server)).toEqual(['bytes=0-999', 'bytes=1000-1999', 'bytes=1000-1999'])
+        expect(loader.state).toBe(0)
+    })
+    
+    describe('destination', () => {
+        let dir = null
+        
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'destination-'))
+        })
+        
+        afterEach(() => {
+            fs.rmSync(dir, {recursive: true, force: true})
+        })
+        
+        it('writes slices to disk and resolves with the file path', async () => {
+            const body = bytes(3500)
+            serve(MockServer.file(body))
+            const file = path.join(dir, 'file.bin')
+            const loader = new FileLoader()
+            loader.chunkSize = 1000
+            loader.connections = 2
+            loader.destination = new FileDestination(file)
+            loader.checksum = 'sha256-' + crypto.createHash('sha256').update(body).digest('base64')
+            expect(await loader.load(new URLRequest(FILE))).toBe(file)
+            expect(loader.data).toBe(file)
+            expect(fs.readFileSync(file).equals(Buffer.from(body))).toBe(true)
+            expect(fs.readdirSync(dir)).toEqual(['file.bin'])
+        })
+        
+        it('resumes from the .part file after close() once destination is set again', async () => {
+            const body = bytes(4000)
+            const file = MockServer.file(body)
+            let hold = true
+            const server = serve((request) => hold && request.headers['range'] === 'bytes=2000-2999' ? {hold: true} : file(request))
+            const target = path.join(dir, 'file.bin')
+            const loader = new FileLoader()
+            loader.chunkSize = 1000
+            loader.destination = new FileDestination(target)
+            let closed = 0
+            loader.on(LoaderEvent.CLOSE, () => closed++)
+            const first = loader.load(new URLRequest(FILE))
+            first.catch(() => {})
+            await vi.waitFor(() => expect(ranges(server)).toContain('bytes=2000-2999'))
+            loader.close()
+            expect(closed).toBe(1)
+            expect(loader.destination).toBe(null)
+            await vi.waitFor(() => expect(JSON.parse(fs.readFileSync(target + '.part.json', 'utf8')).ranges).toEqual([[0, 2000]]))
+            hold = false
+            server.requests.length = 0
+            loader.chunkSize = 1000
+            loader.destination = new FileDestination(target)
+            expect(await loader.load(new URLRequest(FILE))).toBe(target)
+            expect(ranges(server)).toEqual(['bytes=2000-2999', 'bytes=3000-3999'])
+            expect(fs.readFileSync(target).equals(Buffer.from(body))).toBe(true)
+        })
+        
+        it('fails with #1008 when a slice cannot be written', async () => {
+            serve(MockServer.file(bytes(2000)))
+            const destination = new FileDestination(path.join(dir, 'file.bin'))
+            destination.write = () => Promise.reject(new Error('disk full'))
+            const loader = new FileLoader()
+            loader.chunkSize = 1000
+            loader.destination = destination
+            let errors = []
+            loader.on(LoaderEvent.ERROR, (evt) => errors.push(evt.code))
+            await expect(loader.load(new URLRequest(FILE))).rejects.toMatchObject({code: 1008, desc: 'write failed'})
+            expect(errors).toEqual([1008])
+        })
+    })
+})
@@ -0,0 +1,121 @@
+/**
+ * 完整性校验
+ *
+ * 解析 SRI 形式的校验值（如 "sha256-<base64>"，多个值以空格分隔），在下载过程中增量计算摘要，下载完成后比对。
+ * 支持 sha256、md5、crc32 三种算法，校验值可以是 base64 或十六进制；有多种算法时使用其中最强的一种，同一算法的多个值任一匹配即通过。
+ *
+ * @author 8088
+ */
+'use strict'
+import SHA256 from '../../utils/SHA256'
+import MD5 from '../../utils/MD5'
+import CRC32 from '../../utils/CRC32'
+
+const initialize = Symbol('initialize')
+const decode = Symbol('decode')
+
+const ALGORITHMS = {
+    sha256: SHA256,
+    md5: MD5,
+    crc32: CRC32
+}
+
+export default class Integrity {
+    constructor (algorithm, values = []) {
+        this[initialize](algorithm, values)
+    }
+    
+    /**
+     * [静态] 解析校验值字符串，没有校验值时返回 null，算法均不支持时抛出 TypeError。
+     *
+     * @param text 如 "sha256-47DEQpj8HBSa+/TImW+5JCeuQeRkm5NMpJWZG3hSuFU="
+     * @returns {Integrity}
+     */
+    static parse (text) {
+        if (!text) return null
+        let found = {}
+        String(text).trim().split(/\s+/).map((item) => {
+            let match = /^([a-z0-9]+)-([^?]+)/i.exec(item)
+            if (!match) return
+            let algorithm = match[1].toLowerCase()
+            if (!ALGORITHMS[algorithm]) return
+            found[algorithm] = (found[algorithm] || []).concat(match[2])
+        })
+        let algorithm = Object.keys(ALGORITHMS).filter((key) => found[key])[0]
+        if (!algorithm) throw new TypeError(`不支持的校验值 ${text}，请使用 sha256、md5 或 crc32。`)
+        return new Integrity(algorithm, found[algorithm])
+    }
+    
+    /**
+     * algorithm
+     * 只读，校验算法：sha256、md5 或 crc32。
+     *
+     * @returns {*|string}
+     */
+    get algorithm () {
+        return this._algorithm
+    }
+    
+    /**
+     * length
+     * 只读，已参与计算的字节数。
+     *
+     * @returns {*|uint}
+     */
+    get length () {
+        return this._length
+    }
+    
+    /**
+     * 追加按顺序下载的数据。
+     *
+     * @param bytes Uint8Array
+     */
+    update (bytes) {
+        this._hash.update(bytes)
+        this._length += bytes.length
+    }
+    
+    /**
+     * 清空已计算的数据，重新下载时调用。
+     */
+    reset () {
+        this._hash.reset()
+        this._length = 0
+    }
+    
+    /**
+     * 比对目前数据的摘要与校验值，任一校验值匹配即返回 true。
+     *
+     * @returns {boolean}
+     */
+    verify () {
+        let digest = this._hash.digest()
+        return this._values.some((value) => {
+            let expected = this[decode](value, digest.length)
+            return !!expected && expected.length === digest.length && expected.every((byte, i) => byte === digest[i])
+        })
+    }
+    
+    // Internals
+    //
+    
+    [initialize] (algorithm, values) {
+        this._algorithm = algorithm
+        this._values = values
+        this._hash = new ALGORITHMS[algorithm]()
+        this._length = 0
+    }
+    
+    [decode] (value, length) {
+        if (/^[0-9a-f]+$/i.test(value) && value.length === length * 2) {
+            return new Uint8Array(value.match(/../g).map((item) => parseInt(item, 16)))
+        }
+        try {
+            let text = atob(value.replace(/-/g, '+').replace(/_/g, '/'))
+            return new Uint8Array(text.length).map((v, i) => text.charCodeAt(i))
+        } catch (err) {
+            return null
+        }
+    }
+}
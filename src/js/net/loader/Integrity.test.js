@@ -0,0 +1,41 @@
+import {describe, it, expect} from 'vitest'
+import crypto from 'crypto'
+import Integrity from './Integrity'
+
+const bytes = new TextEncoder().encode('hello integrity')
+const digest = (algorithm, encoding) => crypto.createHash(algorithm).update(bytes).digest(encoding)
+
+describe('Integrity', () => {
+    it('returns null without a value and rejects unsupported algorithms', () => {
+        expect(Integrity.parse('')).toBe(null)
+        expect(Integrity.parse(null)).toBe(null)
+        expect(() => Integrity.parse('sha1-abc')).toThrow(TypeError)
+    })
+    
+    it('picks the strongest supported algorithm', () => {
+        expect(Integrity.parse(`crc32-00000000 md5-${digest('md5', 'hex')} sha256-${digest('sha256', 'base64')}`).algorithm).toBe('sha256')
+        expect(Integrity.parse(`crc32-00000000 md5-${digest('md5', 'hex')}`).algorithm).toBe('md5')
+    })
+    
+    it('verifies base64 and hex values', () => {
+        ['base64', 'hex'].map((encoding) => {
+            let integrity = Integrity.parse(`sha256-${digest('sha256', encoding)}`)
+            integrity.update(bytes.subarray(0, 5))
+            integrity.update(bytes.subarray(5))
+            expect(integrity.length).toBe(bytes.length)
+            expect(integrity.verify()).toBe(true)
+        })
+    })
+    
+    it('passes when any value of the algorithm matches and fails on a mismatch', () => {
+        let integrity = Integrity.parse(`md5-${'0'.repeat(32)} md5-${digest('md5', 'base64')}`)
+        integrity.update(bytes)
+        expect(integrity.verify()).toBe(true)
+        integrity.update(new Uint8Array([1]))
+        expect(integrity.verify()).toBe(false)
+        integrity.reset()
+        expect(integrity.length).toBe(0)
+        integrity.update(bytes)
+        expect(integrity.verify()).toBe(true)
+    })
+})
@@ -29,4 +29,22 @@ export default class LoaderDataFormat {
      * @type {string}
      */
     static ZIP = 'zip'
+    
+    /**
+     * [静态] 指定以 GZIP 压缩文件形式接收下载的数据，解压后得到单个文件。
+     * @type {string}
+     */
+    static GZIP = 'gzip'
+    
+    /**
+     * [静态] 指定以 TAR 归档形式接收下载的数据。
+     * @type {string}
+     */
+    static TAR = 'tar'
+    
+    /**
+     * [静态] 指定以 GZIP 压缩的 TAR 归档（.tar.gz / .tgz）形式接收下载的数据。
+     * @type {string}
+     */
+    static TGZ = 'tgz'
 }
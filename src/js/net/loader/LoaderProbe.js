@@ -0,0 +1,20 @@
+/* eslint-disable no-undef */
+export default class LoaderProbe {
+    /**
+     * [静态] 先发送 HEAD 请求获取文件大小，失败时依次改用 Range: bytes=0-0 的请求及中断的完整请求。
+     * @type {string}
+     */
+    static HEAD = 'head'
+    
+    /**
+     * [静态] 先发送 Range: bytes=0-0 的请求，从 Content-Range 中获取文件大小，失败时改用中断的完整请求。
+     * @type {string}
+     */
+    static RANGE = 'range'
+    
+    /**
+     * [静态] 发送完整请求，收到响应头部后立即中断，从 Content-Length 中获取文件大小。
+     * @type {string}
+     */
+    static GET = 'get'
+}
@@ -0,0 +1,47 @@
+/**
+ * 加载器 Promise
+ *
+ * 将加载器的 COMPLETE / ERROR / CLOSE 事件转换为一个 Promise：COMPLETE 时以 data 兑现，ERROR 或 CLOSE 时以 LoaderError 拒绝。
+ * 加载器原有的事件照常调度，事件监听与 Promise 可同时使用。
+ *
+ * @author 8088
+ */
+'use strict'
+import LoaderEvent from '../../events/LoaderEvent'
+import LoaderError from '../../errors/LoaderError'
+
+export default class LoaderPromise {
+    /**
+     * 监听加载器本次加载的结果，返回对应的 Promise。
+     *
+     * @param loader URLLoader、FileLoader 或 WorkerLoader 实例
+     * @returns {Promise}
+     */
+    static from (loader) {
+        const promise = new Promise((resolve, reject) => {
+            const settle = () => {
+                loader.removeListener(LoaderEvent.COMPLETE, onComplete)
+                loader.removeListener(LoaderEvent.ERROR, onError)
+                loader.removeListener(LoaderEvent.CLOSE, onClose)
+            }
+            const onComplete = (evt) => {
+                settle()
+                resolve(evt.data)
+            }
+            const onError = (evt) => {
+                settle()
+                reject(new LoaderError(evt))
+            }
+            const onClose = (evt) => {
+                settle()
+                reject(new LoaderError(Object.assign({desc: 'loader closed'}, evt)))
+            }
+            loader.addListener(LoaderEvent.COMPLETE, onComplete)
+            loader.addListener(LoaderEvent.ERROR, onError)
+            loader.addListener(LoaderEvent.CLOSE, onClose)
+        })
+        // 仅使用事件监听的调用方不会处理返回的 Promise，避免因此产生 unhandledrejection
+        promise.catch(() => {})
+        return promise
+    }
+}
@@ -0,0 +1,86 @@
+import {describe, it, expect, vi, afterEach} from 'vitest'
+import MockServer from '../../../../test/MockServer'
+import MockWorker from '../../../../test/MockWorker'
+import URLLoader from './URLLoader'
+import FileLoader from './FileLoader'
+import WorkerLoader from './WorkerLoader'
+import URLRequest from './URLRequest'
+import LoaderDataFormat from './LoaderDataFormat'
+import LoaderEvent from '../../events/LoaderEvent'
+import LoaderError from '../../errors/LoaderError'
+
+const bytes = (length) => Uint8Array.from({length: length}, (_, i) => (i * 7) & 0xff)
+
+const serve = (handler) => {
+    const server = new MockServer(handler)
+    vi.stubGlobal('XMLHttpRequest', server.XMLHttpRequest)
+    return server
+}
+
+describe('load() Promise', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals()
+    })
+    
+    it('resolves URLLoader with the parsed JSON', async () => {
+        serve(() => ({body: '{"name":"js.net"}'}))
+        const loader = new URLLoader()
+        loader.dataFormat = LoaderDataFormat.JSON
+        expect(await loader.load(new URLRequest('http://127.0.0.1/a.json'))).toEqual({name: 'js.net'})
+    })
+    
+    it('rejects with the HTTP status as LoaderError code', async () => {
+        serve(() => ({status: 404, body: 'not found'}))
+        const loader = new URLLoader()
+        loader.dataFormat = LoaderDataFormat.TEXT
+        const error = await loader.load(new URLRequest('http://127.0.0.1/missing.txt')).catch((err) => err)
+        expect(error).toBeInstanceOf(LoaderError)
+        expect(error.code).toBe(404)
+        expect(error.desc).toBe('request error')
+    })
+    
+    it('dispatches ERROR and rejects with #1005 when JSON cannot be parsed', async () => {
+        serve(() => ({body: '{"name":'}))
+        const loader = new URLLoader()
+        loader.dataFormat = LoaderDataFormat.JSON
+        let errors = []
+        loader.on(LoaderEvent.ERROR, (evt) => errors.push(evt.code))
+        await expect(loader.load(new URLRequest('http://127.0.0.1/broken.json'))).rejects.toMatchObject({code: 1005, desc: 'JSON parse failed'})
+        expect(errors).toEqual([1005])
+    })
+    
+    it('rejects on network errors and when the loader is closed', async () => {
+        serve(() => ({error: true}))
+        await expect(new URLLoader().load(new URLRequest('http://127.0.0.1/a.txt'))).rejects.toMatchObject({code: 1000})
+        serve(() => ({hold: true}))
+        const loader = new URLLoader()
+        const result = loader.load(new URLRequest('http://127.0.0.1/a.txt'))
+        await new Promise((resolve) => setTimeout(resolve, 5))
+        loader.close()
+        await expect(result).rejects.toMatchObject({code: LoaderEvent.CLOSE})
+    })
+    
+    it('resolves FileLoader with the downloaded data', async () => {
+        vi.stubGlobal('window', new EventTarget())
+        const body = bytes(300000)
+        serve(MockServer.file(body))
+        const data = await new FileLoader().load(new URLRequest('http://127.0.0.1/file.bin'))
+        expect(Buffer.from(data).equals(body)).toBe(true)
+    })
+    
+    it('rejects FileLoader when a slice fails with a network error', async () => {
+        vi.stubGlobal('window', new EventTarget())
+        const file = MockServer.file(bytes(300000))
+        serve((request) => request.headers['range'] === 'bytes=204800-409599' ? {error: true} : file(request))
+        await expect(new FileLoader().load(new URLRequest('http://127.0.0.1/file.bin'))).rejects.toMatchObject({code: 1000})
+    })
+    
+    it('resolves WorkerLoader with the data posted by the worker', async () => {
+        MockWorker.install()
+        const body = bytes(1000)
+        serve(MockServer.file(body))
+        const loader = new WorkerLoader()
+        const data = await loader.load(new URLRequest('http://127.0.0.1/file.bin'))
+        expect(new Uint8Array(data)).toEqual(body)
+    })
+})
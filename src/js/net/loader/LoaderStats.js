@@ -0,0 +1,116 @@
+/**
+ * 下载统计
+ *
+ * 为各下载器的 PROGRESS 事件计算传输统计。每次 update 传入当前的 bytesLoaded，返回以下字段，由下载器合并进 PROGRESS 事件：
+ *   speed         最近 LoaderStats.WINDOW 毫秒内的速度，字节/秒
+ *   averageSpeed  自开始下载以来的平均速度，字节/秒
+ *   eta           按当前速度估算的剩余时间，毫秒；文件大小未知或速度为 0 时为 null
+ *   elapsed       自开始下载以来经过的时间，毫秒
+ *   chunks        已完成的分片（请求）数
+ *   retries       已重试的次数
+ * bytesLoaded 回退（如整体下载重新开始）时只累计实际收到的字节，不会出现负速度。
+ *
+ * @author 8088
+ */
+'use strict'
+
+const initialize = Symbol('initialize')
+
+export default class LoaderStats {
+    constructor (window = LoaderStats.WINDOW) {
+        this[initialize](window)
+    }
+    
+    /**
+     * [静态] 计算当前速度的时间窗口，毫秒。
+     * @type {uint}
+     */
+    static WINDOW = 3000
+    
+    /**
+     * chunks
+     * 只读，已完成的分片（请求）数。
+     *
+     * @returns {*|uint}
+     */
+    get chunks () {
+        return this._chunks
+    }
+    
+    /**
+     * retries
+     * 只读，已重试的次数。
+     *
+     * @returns {*|uint}
+     */
+    get retries () {
+        return this._retries
+    }
+    
+    /**
+     * 开始（或重新开始）统计，loaded 为此时已有的字节数（如从断点存储中恢复的部分），不计入速度。
+     *
+     * @param loaded 已有的字节数
+     */
+    start (loaded = 0) {
+        this._time = Date.now()
+        this._last = loaded
+        this._received = 0
+        this._samples = [{time: this._time, received: 0}]
+        this._chunks = 0
+        this._retries = 0
+    }
+    
+    /**
+     * 记录完成了一个分片。
+     */
+    chunk () {
+        this._chunks++
+    }
+    
+    /**
+     * 记录一次重试。
+     */
+    retry () {
+        this._retries++
+    }
+    
+    /**
+     * 记录当前的 bytesLoaded，返回统计字段。
+     *
+     * @param loaded 当前已下载的字节数
+     * @param total 文件总字节数，未知时为 undefined
+     * @returns {Object}
+     */
+    update (loaded, total) {
+        let now = Date.now()
+        this._received += Math.max(0, loaded - this._last)
+        this._last = loaded
+        this._samples.push({time: now, received: this._received})
+        // 保留窗口内的样本，以及窗口起点之前的最后一个样本
+        while (this._samples.length > 2 && this._samples[1].time <= now - this._window) {
+            this._samples.shift()
+        }
+        let first = this._samples[0]
+        let elapsed = now - this._time
+        let averageSpeed = elapsed > 0 ? this._received / elapsed * 1000 : 0
+        let speed = now > first.time ? (this._received - first.received) / (now - first.time) * 1000 : averageSpeed
+        let eta = total && speed > 0 ? Math.max(0, total - loaded) / speed * 1000 : null
+        return {
+            speed: Math.round(speed),
+            averageSpeed: Math.round(averageSpeed),
+            eta: eta === null ? null : Math.round(eta),
+            elapsed: elapsed,
+            chunks: this._chunks,
+            retries: this._retries
+        }
+    }
+    
+    // Internals
+    //
+    
+    [initialize] (window) {
+        this._window = window
+        this.start()
+    }
+}
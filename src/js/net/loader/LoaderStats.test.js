@@ -0,0 +1,37 @@
+import {describe, it, expect, vi, beforeEach, afterEach} from 'vitest'
+import LoaderStats from './LoaderStats'
+
+describe('LoaderStats', () => {
+    beforeEach(() => {
+        vi.useFakeTimers()
+    })
+    
+    afterEach(() => {
+        vi.useRealTimers()
+    })
+    
+    it('reports the windowed and average speed with the time left', () => {
+        const stats = new LoaderStats(1000)
+        stats.start()
+        vi.advanceTimersByTime(1000)
+        expect(stats.update(1000, 10000)).toEqual({speed: 1000, averageSpeed: 1000, eta: 9000, elapsed: 1000, chunks: 0, retries: 0})
+        // 窗口内只有最近 1 秒的样本
+        vi.advanceTimersByTime(1000)
+        expect(stats.update(4000, 10000)).toMatchObject({speed: 3000, averageSpeed: 2000, eta: 2000})
+        expect(stats.update(4000, undefined).eta).toBe(null)
+    })
+    
+    it('counts chunks and retries and ignores resumed or rewound bytes', () => {
+        const stats = new LoaderStats()
+        stats.start(5000)
+        stats.chunk()
+        stats.chunk()
+        stats.retry()
+        vi.advanceTimersByTime(500)
+        expect(stats.update(6000, 10000)).toMatchObject({averageSpeed: 2000, chunks: 2, retries: 1})
+        vi.advanceTimersByTime(500)
+        expect(stats.update(0, 10000)).toMatchObject({averageSpeed: 1000})
+        stats.start()
+        expect([stats.chunks, stats.retries]).toEqual([0, 0])
+    })
+})
@@ -0,0 +1,211 @@
+/**
+ * Web线程下载器的线程端
+ *
+ * LoaderWorker 运行在 WorkerLoader 创建的 Worker 中，负责下载与解包，并通过 postMessage 与主线程的 WorkerLoader 通信。
+ * 下载复用 FileLoader（分片下载、暂停/恢复），解包复用 Archive，下载过程中的流式解压复用 ZipStream。
+ *
+ * 默认的线程入口为 WorkerLoader.worker.js。如需在线程中替换解包算法，可自建入口，再将 WorkerLoader.workerURL 指向该入口:
+ * import Archive from 'js/net/archive/Archive'
+ * import LoaderWorker from 'js/net/loader/LoaderWorker'
+ * Archive.codec = MyCodec
+ * new LoaderWorker(self)
+ *
+ * @author 8088
+ */
+'use strict'
+import LoaderEvent from '../../events/LoaderEvent'
+import EventLevel from '../../events/EventLevel'
+import LoaderError from '../../errors/LoaderError'
+import LoaderDataFormat from './LoaderDataFormat'
+import FileLoader from './FileLoader'
+import Archive from '../archive/Archive'
+import ZipStream from '../archive/ZipStream'
+import IDBStorage from '../storage/IDBStorage'
+
+const initialize = Symbol('initialize')
+const onMessage = Symbol('onMessage')
+const load = Symbol('load')
+const set = Symbol('set')
+const get = Symbol('get')
+const stream = Symbol('stream')
+const post = Symbol('post')
+const limiter = Symbol('limiter')
+
+export default class LoaderWorker {
+    constructor (scope) {
+        this[initialize](scope)
+    }
+    
+    // Internals
+    //
+    
+    [initialize] (scope) {
+        this._scope = scope
+        this._request = null
+        this._options = {dataFormat: LoaderDataFormat.BINARY}
+        this._loader = null
+        this._stream = null
+        this._acquireId = 0
+        this._acquires = {}
+        this._scope.addEventListener('message', this[onMessage].bind(this))
+    }
+    
+    [onMessage] (msg) {
+        switch (msg.data.code) {
+            case LoaderEvent.START:
+                this[load](msg.data.request)
+                break
+            case LoaderEvent.CLOSE:
+                if (this._loader) this._loader.close()
+                break
+            case 'pause':
+                if (this._loader) this._loader.pause()
+                break
+            case 'resume':
+                if (this._loader) this._loader.resume()
+                break
+            case 'get':
+            case 'getfiles':
+                this[get](msg.data)
+                break
+            case 'set':
+                this[set](msg.data.key, msg.data.value)
+                break
+            case 'granted':
+                let granted = this._acquires[msg.data.id]
+                delete this._acquires[msg.data.id]
+                if (granted) granted()
+                break
+        }
+    }
+    
+    [set] (key, value) {
+        if (key === 'request') {
+            this._request = value
+            return
+        }
+        if (key === 'storage') {
+            // 存储适配器无法跨线程传递，主线程只传数据库名称，在线程中创建 IDBStorage
+            value = value ? new IDBStorage(value) : null
+        }
+        if (key === 'limiter') {
+            // 共用的限速器在主线程，每个分片发出前向主线程申请
+            value = value ? this[limiter]() : null
+        }
+        this._options[key] = value
+        if (this._loader && key in this._loader) this._loader[key] = value
+    }
+    
+    [load] (request) {
+        if (request) this._request = request
+        if (this._loader) {
+            this._loader.removeAllListeners()
+            this._loader.close()
+        }
+        const loader = this._loader = new FileLoader()
+        for (let key in this._options) {
+            if (key in loader) loader[key] = this._options[key]
+        }
+        let archive = Archive.isArchive(loader.dataFormat)
+        this._stream = null
+        if (this._options.streaming && loader.dataFormat === LoaderDataFormat.ZIP) {
+            // 解包算法按需加载，加载完成前已下载的数据在之后的 PROGRESS 中一并解析
+            Archive.loadCodec().then((codec) => {
+                if (this._loader === loader) this._stream = new ZipStream(codec.inflateRaw)
+            }, () => {})
+        }
+        loader.addListener(LoaderEvent.START, (evt) => {
+            // restartOnChange 重新开始下载时，流式解析也从头开始
+            if (this._stream) this._stream = new ZipStream(Archive.codec.inflateRaw)
+            this[post]({code: LoaderEvent.START})
+        })
+        loader.addListener(LoaderEvent.PROGRESS, (evt) => {
+            this[stream]()
+            this[post]({
+                code: LoaderEvent.PROGRESS,
+                loaded: evt.loaded,
+                total: evt.total,
+                speed: evt.speed,
+                averageSpeed: evt.averageSpeed,
+                eta: evt.eta,
+                elapsed: evt.elapsed,
+                chunks: evt.chunks,
+                retries: evt.retries
+            })
+        })
+        loader.addListener(LoaderEvent.ERROR, (evt) => {
+            this[post]({code: LoaderEvent.ERROR, errorcode: evt.code, errordesc: evt.desc})
+        })
+        loader.addListener(LoaderEvent.RESUME_UNAVAILABLE, (evt) => {
+            this[post]({code: LoaderEvent.RESUME_UNAVAILABLE, desc: evt.desc})
+        })
+        loader.addListener(LoaderEvent.RETRY, (evt) => {
+            this[post]({code: LoaderEvent.RETRY, attempt: evt.attempt, delay: evt.delay, reason: evt.reason})
+        })
+        loader.addListener(LoaderEvent.CLOSE, (evt) => {
+            this[post]({code: LoaderEvent.CLOSE})
+        })
+        loader.addListener(LoaderEvent.COMPLETE, (evt) => {
+            if (archive) {
+                this[post]({code: LoaderEvent.COMPLETE, data: evt.data, manifest: evt.manifest})
+            } else {
+                this[post]({code: LoaderEvent.COMPLETE, data: evt.data}, [evt.data])
+            }
+        })
+        try {
+            loader.load(this._request)
+        } catch (err) {
+            this[post]({code: LoaderEvent.ERROR, errorcode: 1000, errordesc: err.message})
+        }
+    }
+    
+    [stream] () {
+        if (!this._stream || this._stream.done || !(this._loader.data instanceof ArrayBuffer)) return
+        // data 按文件大小预先分配，多连接下载时分片乱序到达，只解析从开头起连续的部分
+        this._stream.push(new Uint8Array(this._loader.data, 0, this._loader.bytesContiguous)).map((item) => {
+            this[post]({code: LoaderEvent.ENTRY, entry: item.entry, data: item.data.buffer}, [item.data.buffer])
+        })
+    }
+    
+    [get] (info) {
+        let loader = this._loader
+        let result = null
+        if (!loader) {
+            result = Promise.reject(new LoaderError({code: 1003, level: EventLevel.ERROR, desc: 'archive not loaded'}))
+        } else if (info.code === 'get') {
+            result = loader.getFile(info.key, {type: info.type})
+        } else if (info.folder) {
+            result = loader.getFolder(info.pattern, {type: info.type})
+        } else {
+            result = loader.getFiles(info.pattern, {type: info.type})
+        }
+        result.then((data) => {
+            let transfer = []
+            if (info.type === 'arraybuffer') {
+                transfer = info.code === 'get' ? [data] : Object.keys(data).map((key) => data[key])
+            }
+            this[post]({code: LoaderEvent.GETBACK, id: info.id, data: data}, transfer)
+        }, (err) => {
+            this[post]({code: LoaderEvent.GETBACK, id: info.id, errorcode: err.code, errordesc: err.desc})
+        })
+    }
+    
+    [limiter] () {
+        return {
+            acquire: (bytes, callback) => {
+                let id = ++this._acquireId
+                this._acquires[id] = callback
+                this[post]({code: 'acquire', id: id, bytes: bytes})
+                return () => {
+                    if (!this._acquires[id]) return
+                    delete this._acquires[id]
+                    this[post]({code: 'release', id: id})
+                }
+            }
+        }
+    }
+    
+    [post] (message, transfer = []) {
+        this._scope.postMessage(message, transfer)
+    }
+}
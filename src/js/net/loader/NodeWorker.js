@@ -0,0 +1,83 @@
+/**
+ * Node 线程
+ *
+ * NodeWorker 以 worker_threads 实现 WorkerLoader 用到的 Worker 接口（addEventListener('message')、postMessage、terminate），
+ * 线程入口为 WorkerLoader.node.worker.js，其中使用 NodeTransport 下载。
+ * 该入口及其依赖使用省略扩展名的导入，Node 无法直接加载，须先经打包工具打包为单个文件，再将打包结果的路径或 URL 传给 NodeWorker。
+ * 下载或获取文件期间保持进程运行，空闲时不阻止进程退出。
+ *
+ * Usage:
+ * import WorkerLoader from 'js/net/loader/WorkerLoader'
+ * import NodeWorker from 'js/net/loader/NodeWorker'
+ * WorkerLoader.createWorker = () => new NodeWorker(new URL('./dist/loader.worker.mjs', import.meta.url))
+ *
+ * @author 8088
+ */
+'use strict'
+import {Worker} from 'worker_threads'
+import LoaderEvent from '../../events/LoaderEvent'
+
+const initialize = Symbol('initialize')
+const track = Symbol('track')
+
+export default class NodeWorker {
+    constructor (url, options = {}) {
+        if (!url) throw new TypeError('请传入打包后的 WorkerLoader.node.worker.js 的路径或 URL。')
+        this[initialize](url, options)
+    }
+    
+    addEventListener (type, listener) {
+        let handler = type === 'message' ? (data) => listener({data: data}) : (err) => listener({error: err, message: err && err.message})
+        this._handlers.push({type: type, listener: listener, handler: handler})
+        this._worker.on(type, handler)
+    }
+    
+    removeEventListener (type, listener) {
+        this._handlers = this._handlers.filter((item) => {
+            if (item.type !== type || item.listener !== listener) return true
+            this._worker.off(type, item.handler)
+            return false
+        })
+    }
+    
+    postMessage (message, transfer = []) {
+        this[track](message, true)
+        this._worker.postMessage(message, transfer)
+    }
+    
+    /**
+     * 结束线程
+     */
+    terminate () {
+        return this._worker.terminate()
+    }
+    
+    // Internals
+    //
+    
+    [initialize] (url, options) {
+        this._handlers = []
+        this._loading = false
+        this._pending = 0
+        this._worker = new Worker(url, options)
+        this._worker.on('message', (data) => this[track](data, false))
+        this._worker.unref()
+    }
+    
+    [track] (message, outgoing) {
+        // 只在有下载或获取文件的请求进行中时保持进程运行
+        let code = message && message.code
+        if (outgoing) {
+            if (code === LoaderEvent.START) this._loading = true
+            if (code === 'get' || code === 'getfiles') this._pending++
+        } else {
+            if (code === LoaderEvent.COMPLETE || code === LoaderEvent.ERROR || code === LoaderEvent.CLOSE) this._loading = false
+            if (code === LoaderEvent.GETBACK) this._pending = Math.max(0, this._pending - 1)
+        }
+        if (this._loading || this._pending) {
+            this._worker.ref()
+        } else {
+            this._worker.unref()
+        }
+    }
+}
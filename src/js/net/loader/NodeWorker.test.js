@@ -0,0 +1,67 @@
+import {describe, it, expect, beforeAll, afterAll, afterEach} from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import {pathToFileURL, fileURLToPath} from 'url'
+import {build} from 'esbuild'
+import HttpServer from '../../../../test/HttpServer'
+import MockServer from '../../../../test/MockServer'
+import Zip from '../../../../test/Zip'
+import NodeWorker from './NodeWorker'
+import WorkerLoader from './WorkerLoader'
+import URLRequest from './URLRequest'
+import LoaderDataFormat from './LoaderDataFormat'
+import LoaderEvent from '../../events/LoaderEvent'
+
+const ZIP = Zip.create([{name: 'index.json', data: '{"version":1}'}, {name: 'docs/readme.txt', data: 'read me'}])
+
+describe('NodeWorker', () => {
+    let dir = null
+    let entry = null
+    let server = null
+    
+    beforeAll(async () => {
+        // 线程入口须先打包为单个文件
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'node-worker-'))
+        entry = path.join(dir, 'loader.worker.mjs')
+        await build({
+            entryPoints: [fileURLToPath(new URL('./WorkerLoader.node.worker.js', import.meta.url))],
+            outfile: entry,
+            bundle: true,
+            platform: 'node',
+            format: 'esm',
+            logLevel: 'silent'
+        })
+        server = await new HttpServer(MockServer.file(ZIP)).listen()
+    })
+    
+    afterAll(async () => {
+        if (server) await server.close()
+        if (dir) fs.rmSync(dir, {recursive: true, force: true})
+    })
+    
+    afterEach(() => {
+        WorkerLoader.createWorker = null
+    })
+    
+    it('requires the URL of the bundled worker entry', () => {
+        expect(() => new NodeWorker()).toThrow(TypeError)
+    })
+    
+    it('downloads and unpacks in worker_threads with NodeTransport', async () => {
+        let worker = null
+        WorkerLoader.createWorker = () => (worker = new NodeWorker(pathToFileURL(entry)))
+        const loader = new WorkerLoader()
+        loader.dataFormat = LoaderDataFormat.ZIP
+        let completed = null
+        loader.on(LoaderEvent.COMPLETE, (evt) => (completed = evt))
+        try {
+            expect(await loader.load(new URLRequest(server.url + '/a.zip'))).toEqual(['index.json', 'docs/readme.txt'])
+            expect(completed).not.toBe(null)
+            expect(await loader.getFile('docs/readme.txt')).toBe('read me')
+            expect(server.requests.length).toBeGreaterThan(0)
+        } finally {
+            if (worker) await worker.terminate()
+        }
+    })
+})
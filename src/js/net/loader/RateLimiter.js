@@ -0,0 +1,94 @@
+/**
+ * 限速器
+ *
+ * 以“欠账”的方式限制下载速度：每个分片发出前登记它的字节数，欠账按 maxBytesPerSecond 随时间偿还，还清后才放行下一个分片。
+ * 同一个 RateLimiter 可设置给多个 FileLoader、WorkerLoader 的 limiter 属性，它们共用同一份带宽；maxBytesPerSecond 可随时修改，立即生效。
+ *
+ * @author 8088
+ */
+'use strict'
+
+const initialize = Symbol('initialize')
+const drain = Symbol('drain')
+const schedule = Symbol('schedule')
+
+export default class RateLimiter {
+    constructor (maxBytesPerSecond = 0) {
+        this[initialize](maxBytesPerSecond)
+    }
+    
+    /**
+     * maxBytesPerSecond
+     * 每秒最多下载的字节数，0 表示不限速。
+     *
+     * @returns {*|uint}
+     */
+    get maxBytesPerSecond () {
+        return this._rate
+    }
+    
+    // noinspection JSAnnotator
+    set maxBytesPerSecond (value) {
+        if (!(value >= 0)) throw new TypeError(`无效的限速 ${value}，请使用不小于 0 的字节数。`)
+        // 按原来的速度结算到此刻，之后按新的速度偿还
+        this[drain]()
+        this._rate = value
+        this[schedule]()
+    }
+    
+    /**
+     * 申请下载 bytes 个字节，轮到时调用 callback。不限速且没有排队时立即调用。
+     *
+     * @param bytes 将要下载的字节数
+     * @param callback 放行时调用
+     * @returns {Function} 调用后取消尚未放行的申请
+     */
+    acquire (bytes, callback) {
+        let waiter = {bytes: bytes, callback: callback}
+        this._queue.push(waiter)
+        this[schedule]()
+        return () => {
+            let index = this._queue.indexOf(waiter)
+            if (index === -1) return
+            this._queue.splice(index, 1)
+            this[schedule]()
+        }
+    }
+    
+    // Internals
+    //
+    
+    [initialize] (maxBytesPerSecond) {
+        this._rate = 0
+        this._debt = 0
+        this._stamp = Date.now()
+        this._queue = []
+        this._timer = null
+        this.maxBytesPerSecond = maxBytesPerSecond
+    }
+    
+    [drain] () {
+        let now = Date.now()
+        this._debt = this._rate ? Math.max(0, this._debt - (now - this._stamp) * this._rate / 1000) : 0
+        this._stamp = now
+    }
+    
+    [schedule] () {
+        if (this._timer) {
+            clearTimeout(this._timer)
+            this._timer = null
+        }
+        this[drain]()
+        while (this._queue.length && this._debt <= 0) {
+            let waiter = this._queue.shift()
+            if (this._rate) this._debt += waiter.bytes
+            waiter.callback()
+        }
+        if (this._queue.length && !this._timer) {
+            this._timer = setTimeout(() => {
+                this._timer = null
+                this[schedule]()
+            }, Math.ceil(this._debt / this._rate * 1000))
+        }
+    }
+}
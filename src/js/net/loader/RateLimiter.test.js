@@ -0,0 +1,42 @@
+import {describe, it, expect, vi, beforeEach, afterEach} from 'vitest'
+import RateLimiter from './RateLimiter'
+
+describe('RateLimiter', () => {
+    beforeEach(() => {
+        vi.useFakeTimers()
+    })
+    
+    afterEach(() => {
+        vi.useRealTimers()
+    })
+    
+    it('lets requests through at maxBytesPerSecond', () => {
+        const limiter = new RateLimiter(1000)
+        let granted = []
+        for (let i = 0; i !== 3; i++) limiter.acquire(500, () => granted.push(i))
+        expect(granted).toEqual([0])
+        vi.advanceTimersByTime(499)
+        expect(granted).toEqual([0])
+        vi.advanceTimersByTime(1)
+        expect(granted).toEqual([0, 1])
+        vi.advanceTimersByTime(500)
+        expect(granted).toEqual([0, 1, 2])
+    })
+    
+    it('applies a new limit at once and cancels waiting requests', () => {
+        const limiter = new RateLimiter(100)
+        let granted = []
+        limiter.acquire(1000, () => granted.push('a'))
+        let cancel = limiter.acquire(1000, () => granted.push('b'))
+        limiter.acquire(1000, () => granted.push('c'))
+        cancel()
+        vi.advanceTimersByTime(1000)
+        expect(granted).toEqual(['a'])
+        // 不限速时排队的申请立即放行
+        limiter.maxBytesPerSecond = 0
+        expect(granted).toEqual(['a', 'c'])
+        expect(() => {
+            limiter.maxBytesPerSecond = -1
+        }).toThrow(TypeError)
+    })
+})
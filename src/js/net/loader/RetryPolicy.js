@@ -0,0 +1,119 @@
+/**
+ * 重试策略
+ *
+ * 描述下载失败后是否重试、间隔多久重试，可设置给 URLLoader、FileLoader、WorkerLoader 的 retry 属性或 URLRequest.retry。
+ * 间隔按指数退避计算：min(cap, base * 2^(重试次数 - 1))，再按 jitter 随机缩短，避免大量客户端同时重试；
+ * 响应带有 Retry-After 头部（秒数或 HTTP 日期）时以其为准，但同样不超过 cap，避免服务器要求等待过久时下载长时间挂起。
+ *
+ * Usage:
+ * loader.retry = new RetryPolicy({maxAttempts: 5, base: 1000, cap: 60000})
+ *
+ * @author 8088
+ */
+'use strict'
+
+const initialize = Symbol('initialize')
+
+export default class RetryPolicy {
+    constructor (options = {}) {
+        this[initialize](options)
+    }
+    
+    /**
+     * [静态] 转换为 RetryPolicy：RetryPolicy 原样返回，选项对象据此创建，true 使用默认选项，其他值返回 null（不重试）。
+     *
+     * @param value RetryPolicy、选项对象或 true
+     * @returns {RetryPolicy}
+     */
+    static from (value) {
+        if (!value) return null
+        if (value instanceof RetryPolicy) return value
+        return new RetryPolicy(value === true ? {} : value)
+    }
+    
+    /**
+     * 是否应进行下一次尝试。
+     *
+     * @param attempts 已尝试的次数（含第一次请求）
+     * @param code HTTP 状态码或错误码（如 1000 网络错误、408 超时）
+     * @returns {boolean}
+     */
+    retryable (attempts, code) {
+        if (attempts >= this.maxAttempts) return false
+        return this.statuses.indexOf(code) !== -1 || this.errors.indexOf(code) !== -1
+    }
+    
+    /**
+     * 计算下一次尝试前的等待时间，毫秒。Retry-After 指定的时间不加随机缩短，但不超过 cap，已过去的日期返回 0。
+     *
+     * @param attempts 已尝试的次数（含第一次请求）
+     * @param retryAfter 可选，响应的 Retry-After 头部
+     * @returns {uint}
+     */
+    delay (attempts, retryAfter = null) {
+        if (retryAfter) {
+            let seconds = Number(retryAfter)
+            let time = isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000
+            if (!isNaN(time)) return Math.min(this.cap, Math.max(0, Math.round(time)))
+        }
+        let delay = Math.min(this.cap, this.base * Math.pow(2, Math.max(0, attempts - 1)))
+        return Math.round(delay * (1 - this.jitter * Math.random()))
+    }
+    
+    /**
+     * 返回选项对象，用于传递给 Worker。
+     *
+     * @returns {Object}
+     */
+    toJSON () {
+        return {
+            maxAttempts: this.maxAttempts,
+            base: this.base,
+            cap: this.cap,
+            jitter: this.jitter,
+            statuses: this.statuses.slice(),
+            errors: this.errors.slice()
+        }
+    }
+    
+    // Internals
+    //
+    
+    [initialize] (options) {
+        /**
+         * 最多尝试的次数，含第一次请求（默认 3）。
+         * @type {uint}
+         */
+        this.maxAttempts = options.maxAttempts !== undefined ? options.maxAttempts : 3
+        
+        /**
+         * 退避的基础间隔，毫秒（默认 500）。
+         * @type {uint}
+         */
+        this.base = options.base !== undefined ? options.base : 500
+        
+        /**
+         * 退避间隔的上限，毫秒（默认 30000），也限制 Retry-After 指定的等待时间。
+         * @type {uint}
+         */
+        this.cap = options.cap !== undefined ? options.cap : 30000
+        
+        /**
+         * 随机缩短间隔的比例，0 到 1（默认 0.5，即间隔在 50%~100% 之间）。
+         * @type {number}
+         */
+        this.jitter = options.jitter !== undefined ? Math.min(1, Math.max(0, options.jitter)) : 0.5
+        
+        /**
+         * 可重试的 HTTP 状态码。
+         * @type {Array}
+         */
+        this.statuses = options.statuses || [408, 429, 500, 502, 503, 504]
+        
+        /**
+         * 可重试的错误码（默认 1000 网络错误、408 超时）。
+         * @type {Array}
+         */
+        this.errors = options.errors || [1000, 408]
+    }
+}
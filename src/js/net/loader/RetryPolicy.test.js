@@ -0,0 +1,56 @@
+import {describe, it, expect, vi, afterEach} from 'vitest'
+import RetryPolicy from './RetryPolicy'
+
+describe('RetryPolicy', () => {
+    afterEach(() => {
+        vi.restoreAllMocks()
+    })
+    
+    it('converts options with from()', () => {
+        let policy = new RetryPolicy()
+        expect(RetryPolicy.from(policy)).toBe(policy)
+        expect(RetryPolicy.from(true).toJSON()).toEqual(new RetryPolicy().toJSON())
+        expect(RetryPolicy.from({maxAttempts: 5}).maxAttempts).toBe(5)
+        expect(RetryPolicy.from(false)).toBe(null)
+        expect(RetryPolicy.from(null)).toBe(null)
+    })
+    
+    it('retries listed statuses and errors until maxAttempts', () => {
+        let policy = new RetryPolicy({maxAttempts: 3})
+        expect(policy.retryable(1, 503)).toBe(true)
+        expect(policy.retryable(2, 1000)).toBe(true)
+        expect(policy.retryable(3, 503)).toBe(false)
+        expect(policy.retryable(1, 404)).toBe(false)
+    })
+    
+    it('backs off exponentially up to cap', () => {
+        let policy = new RetryPolicy({base: 100, cap: 1000, jitter: 0})
+        expect([1, 2, 3, 4, 5, 6].map((attempts) => policy.delay(attempts))).toEqual([100, 200, 400, 800, 1000, 1000])
+    })
+    
+    it('shortens the delay by at most jitter', () => {
+        let policy = new RetryPolicy({base: 1000, jitter: 0.5})
+        vi.spyOn(Math, 'random').mockReturnValue(0)
+        expect(policy.delay(1)).toBe(1000)
+        Math.random.mockReturnValue(0.999999)
+        expect(policy.delay(1)).toBe(500)
+    })
+    
+    it('follows Retry-After in seconds or as an HTTP date', () => {
+        let policy = new RetryPolicy({base: 100, cap: 30000, jitter: 0})
+        expect(policy.delay(1, '3')).toBe(3000)
+        vi.spyOn(Date, 'now').mockReturnValue(Date.parse('Mon, 01 Jan 2024 00:00:00 GMT'))
+        expect(policy.delay(1, 'Mon, 01 Jan 2024 00:00:05 GMT')).toBe(5000)
+        expect(policy.delay(1, 'Sun, 31 Dec 2023 23:59:00 GMT')).toBe(0)
+        expect(policy.delay(1, 'soon')).toBe(100)
+    })
+    
+    it('clamps Retry-After to cap', () => {
+        let policy = new RetryPolicy({cap: 30000, jitter: 0})
+        expect(policy.delay(1, '86400')).toBe(30000)
+        expect(policy.delay(1, '30')).toBe(30000)
+        vi.spyOn(Date, 'now').mockReturnValue(Date.parse('Mon, 01 Jan 2024 00:00:00 GMT'))
+        expect(policy.delay(1, 'Tue, 02 Jan 2024 00:00:00 GMT')).toBe(30000)
+        expect(policy.delay(1, 'Mon, 01 Jan 2024 00:00:10 GMT')).toBe(10000)
+    })
+})
@@ -8,23 +8,547 @@
  *
  * 适用于通过 URLStream 类进行 URL 下载的安全规则与适用于 URLLoader 对象的规则相同。
  *
+ * Usage:
+ * var url = 'http://127.0.0.1/feed.bin'
+ * var request = new URLRequest(url)
+ * var loader = new StreamLoader()
+ *     loader.addListener(LoaderEvent.PROGRESS, (evt) => {
+ *         let stream = evt.target
+ *         while (stream.bytesAvailable >= 4) {
+ *             console.log(stream.readInt())
+ *         }
+ *     })
+ *     loader.addListener(LoaderEvent.COMPLETE, (evt) => { console.log(evt) })
+ *     loader.addListener(LoaderEvent.ERROR, (evt) => { console.log(evt) })
+ * try {
+ *     loader.load(request)
+ * } catch (err) {
+ *     // ignore..
+ * }
+ *
  * @author 8088
  */
-
+'use strict'
 import EventEmitter from 'events'
+import LoaderEvent from '../../events/LoaderEvent'
+import EventLevel from '../../events/EventLevel'
+import EOFError from '../../errors/EOFError'
+import Endian from '../../utils/Endian'
+import LoaderStats from './LoaderStats'
+import Transport from '../transport/Transport'
 
 const initialize = Symbol('initialize')
+const reset = Symbol('reset')
+const abort = Symbol('abort')
+const append = Symbol('append')
+const ensure = Symbol('ensure')
+const view = Symbol('view')
+const decode = Symbol('decode')
+const onStart = Symbol('onStart')
+const onProgress = Symbol('onProgress')
+const onHTTPStatus = Symbol('onHTTPStatus')
+const onTimeout = Symbol('onTimeout')
+const onComplete = Symbol('onComplete')
+const onError = Symbol('onError')
+const onClose = Symbol('onClose')
 
 export default class StreamLoader extends EventEmitter {
-    constructor () {
+    constructor (request = null) {
         super()
-        this[initialize]()
+        this[initialize](request)
+    }
+    
+    /**
+     * bytesAvailable
+     * 只读，返回输入缓冲区中可以读取的数据的字节数。
+     *
+     * @returns {*|uint}
+     */
+    get bytesAvailable () {
+        return this._length - this._position
+    }
+    
+    /**
+     * bytesLoaded
+     * 表示加载操作期间到目前为止加载的字节数。
+     *
+     * @returns {*|uint}
+     */
+    get bytesLoaded () {
+        return this._loaded
+    }
+    
+    // noinspection JSAnnotator
+    set bytesLoaded (value) {
+        this._loaded = value
+    }
+    
+    /**
+     * bytesTotal
+     * 表示所下载数据中的字节总数。丢失的 Content-Length 标题将会导致 bytesTotal 不确定。
+     *
+     * @returns {*|uint}
+     */
+    get bytesTotal () {
+        return this._total
+    }
+    
+    // noinspection JSAnnotator
+    set bytesTotal (value) {
+        this._total = value
+    }
+    
+    /**
+     * connected
+     * 只读，表示此 StreamLoader 对象当前是否已连接。
+     *
+     * @returns {*|boolean}
+     */
+    get connected () {
+        return this._state > 0 && this._state < 4
+    }
+    
+    /**
+     * endian
+     * 表示数据的字节顺序，可以是 Endian.BIG_ENDIAN（默认）或 Endian.LITTLE_ENDIAN。
+     *
+     * @returns {*|string}
+     */
+    get endian () {
+        return this._endian
+    }
+    
+    // noinspection JSAnnotator
+    set endian (value) {
+        switch (value) {
+            case Endian.BIG_ENDIAN:
+            case Endian.LITTLE_ENDIAN:
+                this._endian = value
+                break
+            default:
+                throw new TypeError(`无效的字节顺序 ${value}，请使用 Endian.BIG_ENDIAN 或 Endian.LITTLE_ENDIAN。`)
+        }
+    }
+    
+    /**
+     * timeout
+     * 请求超时,时间毫秒(默认0毫秒不计算请求超时) 超时后会抛出TimeoutError
+     *
+     * @returns {*|int}
+     */
+    get timeout () {
+        return this._timeout
+    }
+    
+    // noinspection JSAnnotator
+    set timeout (value) {
+        this._timeout = value
+    }
+    
+    /**
+     * transport
+     * 传输方式（默认 null，使用 Transport.backend）：Transport.XHR、Transport.FETCH 或返回请求对象的函数，参见 Transport。
+     * 使用 Transport.FETCH 时以 ReadableStream 逐块读取，同样可在下载过程中读取已到达的数据。
+     *
+     * @returns {*|string|Function}
+     */
+    get transport () {
+        return this._transport
+    }
+    
+    // noinspection JSAnnotator
+    set transport (value) {
+        this._transport = value || null
+    }
+    
+    /**
+     * state
+     * 只读，返回下载状态。0：连接尚未打开，1：连接已打开，2：请求头部和状态已可获取，3：下载中，4：下载完成。
+     *
+     * @returns {*|uint}
+     */
+    get state () {
+        return this._state
+    }
+    
+    /**
+     * 立即关闭流并取消下载操作。调用 close() 方法后，无法从流中读取任何数据。
+     */
+    close () {
+        if (this.timeout) clearTimeout(this._timer)
+        this[abort]()
+        this._bytes = new Uint8Array(0)
+        this._length = 0
+        this._position = 0
+        this._state = 0
+    }
+    
+    /**
+     * 开始下载 URLRequest 参数中指定的 URL。
+     * 如果已有加载操作正在进行，将先关闭该加载操作。
+     */
+    load (request) {
+        if (request) this._request = request
+        if (this._xhr) this.close()
+        let endian = this._endian
+        let timeout = this._timeout
+        let transport = this._transport
+        this[reset]()
+        this._endian = endian
+        this._timeout = timeout
+        this._transport = transport
+        this._stats.start()
+        try {
+            // start timer
+            if (this.timeout) {
+                this._timer = setTimeout(() => {
+                    this[abort]()
+                    this[onTimeout]()
+                }, this.timeout)
+            }
+            // open load
+            this._xhr = Transport.create(this.transport)
+            this._xhr.addEventListener('loadstart', this[onStart].bind(this), false)
+            this._xhr.addEventListener('progress', this[onProgress].bind(this), false)
+            this._xhr.addEventListener('abort', this[onClose].bind(this), false)
+            this._xhr.addEventListener('error', this[onError].bind(this), false)
+            this._xhr.addEventListener('load', this[onComplete].bind(this), false)
+            this._xhr.addEventListener('readystatechange', this[onHTTPStatus].bind(this), false)
+            this._xhr.open(this._request.method, this._request.url, true)
+            if (this._request.requestHeaders && this._request.requestHeaders.length) {
+                this._request.requestHeaders.map((item) => {
+                    this._xhr.setRequestHeader(item.name, item.value)
+                })
+            }
+            // 以 x-user-defined 字符集读取文本，下载过程中即可从 responseText 中取得已到达的原始字节
+            this._xhr.overrideMimeType('text/plain; charset=x-user-defined')
+            this._xhr.send(this._request.data)
+        } catch (err) {
+            throw new TypeError('所传递的请求 URLRequest 对象或 URLRequest.url 属性为 null。')
+        }
+    }
+    
+    /**
+     * 从流中读取布尔值。读取单个字节，如果字节非零，则返回 true，否则返回 false。
+     *
+     * @returns {boolean}
+     */
+    readBoolean () {
+        return this[view](1).getUint8(0) !== 0
+    }
+    
+    /**
+     * 从流中读取带符号字节。返回值的范围是从 -128 到 127。
+     *
+     * @returns {int}
+     */
+    readByte () {
+        return this[view](1).getInt8(0)
+    }
+    
+    /**
+     * 从流中读取无符号字节。返回值的范围是从 0 到 255。
+     *
+     * @returns {uint}
+     */
+    readUnsignedByte () {
+        return this[view](1).getUint8(0)
+    }
+    
+    /**
+     * 从流中读取带符号的 16 位整数。返回值的范围是从 -32768 到 32767。
+     *
+     * @returns {int}
+     */
+    readShort () {
+        return this[view](2).getInt16(0, this._endian === Endian.LITTLE_ENDIAN)
+    }
+    
+    /**
+     * 从流中读取无符号的 16 位整数。返回值的范围是从 0 到 65535。
+     *
+     * @returns {uint}
+     */
+    readUnsignedShort () {
+        return this[view](2).getUint16(0, this._endian === Endian.LITTLE_ENDIAN)
+    }
+    
+    /**
+     * 从流中读取带符号的 32 位整数。返回值的范围是从 -2147483648 到 2147483647。
+     *
+     * @returns {int}
+     */
+    readInt () {
+        return this[view](4).getInt32(0, this._endian === Endian.LITTLE_ENDIAN)
+    }
+    
+    /**
+     * 从流中读取无符号的 32 位整数。返回值的范围是从 0 到 4294967295。
+     *
+     * @returns {uint}
+     */
+    readUnsignedInt () {
+        return this[view](4).getUint32(0, this._endian === Endian.LITTLE_ENDIAN)
+    }
+    
+    /**
+     * 从流中读取 IEEE 754 单精度浮点数。
+     *
+     * @returns {number}
+     */
+    readFloat () {
+        return this[view](4).getFloat32(0, this._endian === Endian.LITTLE_ENDIAN)
+    }
+    
+    /**
+     * 从流中读取 IEEE 754 双精度浮点数。
+     *
+     * @returns {number}
+     */
+    readDouble () {
+        return this[view](8).getFloat64(0, this._endian === Endian.LITTLE_ENDIAN)
+    }
+    
+    /**
+     * 从流中读取一个 UTF-8 字符串。假定字符串的前缀是一个无符号的短整型（以字节表示长度）。
+     *
+     * @returns {string}
+     */
+    readUTF () {
+        this[ensure](2)
+        let length = new DataView(this._bytes.buffer, this._position, 2).getUint16(0, this._endian === Endian.LITTLE_ENDIAN)
+        this[ensure](2 + length)
+        this._position += 2
+        return this.readUTFBytes(length)
+    }
+    
+    /**
+     * 从流中读取 length 个 UTF-8 字节，并返回一个字符串。
+     *
+     * @param length 要读取的字节数
+     * @returns {string}
+     */
+    readUTFBytes (length) {
+        this[ensure](length)
+        let bytes = this._bytes.subarray(this._position, this._position + length)
+        this._position += length
+        return this[decode](bytes)
+    }
+    
+    /**
+     * 从流中读取 length 参数所指定的数据字节数，并将其写入 bytes 参数所指定的 Uint8Array 中（从 offset 所指定的位置开始）。
+     *
+     * @param bytes 要将数据读入的 Uint8Array 对象
+     * @param offset bytes 中应从其开始写入数据的偏移（位置）。默认值为 0
+     * @param length 要读取的字节数。默认值 0 导致读取所有可用的数据
+     */
+    readBytes (bytes, offset = 0, length = 0) {
+        if (!length) length = Math.min(this.bytesAvailable, bytes.length - offset)
+        if (offset + length > bytes.length) {
+            throw new RangeError(`目标 Uint8Array 空间不足，无法写入 ${length} 字节。`)
+        }
+        this[ensure](length)
+        bytes.set(this._bytes.subarray(this._position, this._position + length), offset)
+        this._position += length
     }
     
     // Internals
     //
     
-    [initialize] () {
+    [initialize] (request) {
+        this[reset]()
+        this._request = request
+    }
+    
+    [reset] () {
+        this._state = 0
+        this._loaded = 0
+        this._total = 0
+        this._endian = Endian.BIG_ENDIAN
+        this._timeout = 0
+        this._transport = null
+        this._xhr = null
+        this._timer = null
+        this._received = 0
+        this._bytes = new Uint8Array(0)
+        this._length = 0
+        this._position = 0
+        this._stats = new LoaderStats()
+    }
+    
+    [abort] () {
+        if (this._xhr) {
+            this._xhr.abort()
+            this._xhr = null
+        }
+    }
+    
+    [append] (text) {
+        let ln = text.length - this._received
+        if (ln <= 0) return
+        // 已读取的数据不再保留，腾出空间后再决定是否扩容
+        if (this._position && this._length + ln > this._bytes.length) {
+            this._bytes.copyWithin(0, this._position, this._length)
+            this._length -= this._position
+            this._position = 0
+        }
+        if (this._length + ln > this._bytes.length) {
+            const temp = new Uint8Array(Math.max(this._length + ln, this._bytes.length * 2))
+            temp.set(this._bytes.subarray(0, this._length), 0)
+            this._bytes = temp
+        }
+        for (let i = this._received; i !== text.length; i++) {
+            this._bytes[this._length++] = text.charCodeAt(i) & 0xff
+        }
+        this._received = text.length
+        this.bytesLoaded = this._received
+    }
+    
+    [ensure] (length) {
+        if (this.bytesAvailable < length) {
+            throw new EOFError(`StreamLoader 可用数据不足：需要 ${length} 字节，当前仅有 ${this.bytesAvailable} 字节。`)
+        }
+    }
+    
+    [view] (length) {
+        this[ensure](length)
+        const temp = new DataView(this._bytes.buffer, this._position, length)
+        this._position += length
+        return temp
+    }
+    
+    [decode] (bytes) {
+        if (typeof TextDecoder !== 'undefined') return new TextDecoder('utf-8').decode(bytes)
+        let str = ''
+        for (let i = 0; i !== bytes.length; i++) {
+            str += '%' + ('0' + bytes[i].toString(16)).slice(-2)
+        }
+        return decodeURIComponent(str)
+    }
+    
+    [onStart] (evt) {
+        this._state = 1
+        let _evt = {
+            code: LoaderEvent.START,
+            level: EventLevel.STATUS,
+            target: this,
+            message: `StreamLoader start load "${this._request && this._request.url}".`
+        }
+        this.emit(LoaderEvent.START, _evt)
+    }
+    
+    [onProgress] (evt) {
+        let xhr = evt.target
+        if (xhr.readyState < 3) return
+        if (xhr.status >= 400) return
+        this._state = 3
+        this[append](xhr.responseText)
+        if (!this.bytesTotal && evt.lengthComputable) this.bytesTotal = evt.total
+        let _progress = this.bytesTotal ? this.bytesLoaded / this.bytesTotal : 0
+        let _evt = {
+            code: LoaderEvent.PROGRESS,
+            level: EventLevel.STATUS,
+            target: this,
+            loaded: this.bytesLoaded,
+            total: this.bytesTotal,
+            progress: _progress,
+            message: `StreamLoader load progress ${parseInt(_progress * 100)}%（${this.bytesLoaded}/${this.bytesTotal}）.`
+        }
+        // 流式下载中每次收到的数据算作一个分片
+        this._stats.chunk()
+        Object.assign(_evt, this._stats.update(this.bytesLoaded, this.bytesTotal))
+        this.emit(LoaderEvent.PROGRESS, _evt)
+    }
+    
+    [onClose] (evt) {
+        let _evt = {
+            code: LoaderEvent.CLOSE,
+            level: EventLevel.STATUS,
+            target: this,
+            loaded: this.bytesLoaded,
+            total: this.bytesTotal,
+            message: `StreamLoader is closed has been loaded bytes: ${this.bytesLoaded} / ${this.bytesTotal}.`
+        }
+        this.emit(LoaderEvent.CLOSE, _evt)
+    }
+    
+    [onError] (evt) {
+        if (this.timeout) clearTimeout(this._timer)
+        let _code = 1000
+        let _desc = 'network error'
+        let _err = {
+            code: _code,
+            level: EventLevel.ERROR,
+            desc: _desc,
+            target: this,
+            message: `StreamLoader load "${this._request && this._request.url}" failed: #${_code}`
+        }
+        this.emit(LoaderEvent.ERROR, _err)
+    }
+    
+    [onComplete] (evt) {
+        let xhr = evt.target
+        if (xhr.status >= 400) return
+        this[append](xhr.responseText)
+        this._state = 4
+        this.bytesTotal = this.bytesLoaded
+        this._xhr = null
+        let _evt = {
+            code: LoaderEvent.COMPLETE,
+            level: EventLevel.STATUS,
+            target: this,
+            loaded: this.bytesLoaded,
+            total: this.bytesTotal,
+            message: `StreamLoader load "${this._request && this._request.url}" is completed.`
+        }
+        this.emit(LoaderEvent.COMPLETE, _evt)
+    }
+    
+    [onTimeout] (evt) {
+        let _code = 408
+        let _desc = 'request timeout'
+        let _err = {
+            code: _code,
+            level: EventLevel.ERROR,
+            desc: _desc,
+            target: this,
+            message: `StreamLoader load "${this._request && this._request.url}" timeout. #408`
+        }
+        this.emit(LoaderEvent.ERROR, _err)
+    }
     
+    [onHTTPStatus] (evt) {
+        let xhr = evt.target
+        if (xhr.status === 0) return
+        switch (xhr.readyState) {
+            case 2:
+                if (this._state < 2) this._state = 2
+                if (xhr.status >= 400) {
+                    let _code = xhr.status
+                    let _desc = xhr.status >= 500 ? 'server error' : 'request error'
+                    let _err = {
+                        code: _code,
+                        level: EventLevel.ERROR,
+                        desc: _desc,
+                        target: this,
+                        message: `StreamLoader load ${this._request && this._request.url} failed. #${_code}`
+                    }
+                    this.emit(LoaderEvent.ERROR, _err)
+                } else {
+                    this.bytesTotal = parseInt(xhr.getResponseHeader('Content-Length')) || 0
+                }
+                break
+            case 4:
+                if (this.timeout) clearTimeout(this._timer)
+                let _evt = {
+                    code: LoaderEvent.HTTP_STATUS,
+                    level: EventLevel.STATUS,
+                    target: this,
+                    httpStatus: xhr.status,
+                    message: `StreamLoader load ${this._request && this._request.url} http status: ${xhr.status}.`
+                }
+                this.emit(LoaderEvent.HTTP_STATUS, _evt)
+                break
+        }
     }
 }
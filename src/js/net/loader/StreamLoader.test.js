@@ -0,0 +1,128 @@
+import {describe, it, expect, vi, afterEach} from 'vitest'
+import MockServer from '../../../../test/MockServer'
+import StreamLoader from './StreamLoader'
+import URLRequest from './URLRequest'
+import LoaderEvent from '../../events/LoaderEvent'
+import EOFError from '../../errors/EOFError'
+import Endian from '../../utils/Endian'
+
+// 以 size 字节为一块逐块返回 bytes 的服务器
+const serve = (bytes, size) => {
+    vi.stubGlobal('XMLHttpRequest', new MockServer(() => ({body: bytes, chunk: size})).XMLHttpRequest)
+}
+
+const sample = (little) => {
+    let text = new TextEncoder().encode('héllo')
+    let view = new DataView(new ArrayBuffer(34 + text.length))
+    view.setInt32(0, -2, little)
+    view.setUint32(4, 0xdeadbeef, little)
+    view.setInt16(8, -3, little)
+    view.setUint16(10, 65535, little)
+    view.setFloat32(12, 1.5, little)
+    view.setFloat64(16, Math.PI, little)
+    view.setUint8(24, 1)
+    view.setInt8(25, -1)
+    view.setUint8(26, 200)
+    view.setUint16(27, text.length, little)
+    new Uint8Array(view.buffer).set(text, 29)
+    new Uint8Array(view.buffer).set([9, 8, 7, 6, 5], 29 + text.length)
+    return new Uint8Array(view.buffer)
+}
+
+const steps = (stream) => [
+    () => stream.readInt(),
+    () => stream.readUnsignedInt(),
+    () => stream.readShort(),
+    () => stream.readUnsignedShort(),
+    () => stream.readFloat(),
+    () => stream.readDouble(),
+    () => stream.readBoolean(),
+    () => stream.readByte(),
+    () => stream.readUnsignedByte(),
+    () => stream.readUTF(),
+    () => {
+        let bytes = new Uint8Array(5)
+        stream.readBytes(bytes, 0, 5)
+        return Array.from(bytes)
+    }
+]
+
+const VALUES = [-2, 0xdeadbeef, -3, 65535, 1.5, Math.PI, true, -1, 200, 'héllo', [9, 8, 7, 6, 5]]
+
+// 每次 PROGRESS 时尽量读取，数据不足（EOFError）时等待下一次
+const read = (loader) => new Promise((resolve, reject) => {
+    let list = steps(loader)
+    let values = []
+    loader.on(LoaderEvent.PROGRESS, () => {
+        while (values.length < list.length) {
+            try {
+                values.push(list[values.length]())
+            } catch (err) {
+                if (err instanceof EOFError) break
+                reject(err)
+                return
+            }
+        }
+    })
+    loader.on(LoaderEvent.COMPLETE, () => resolve(values))
+    loader.on(LoaderEvent.ERROR, reject)
+})
+
+describe('StreamLoader', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals()
+    })
+    
+    it('reads big-endian values as the data arrives', async () => {
+        let loader = new StreamLoader()
+        serve(sample(false), 3)
+        let values = read(loader)
+        loader.load(new URLRequest('http://127.0.0.1/stream.bin'))
+        expect(await values).toEqual(VALUES)
+        expect(loader.bytesAvailable).toBe(0)
+    })
+    
+    it('reads little-endian values', async () => {
+        let loader = new StreamLoader()
+        loader.endian = Endian.LITTLE_ENDIAN
+        serve(sample(true), 7)
+        let values = read(loader)
+        loader.load(new URLRequest('http://127.0.0.1/stream.bin'))
+        expect(await values).toEqual(VALUES)
+    })
+    
+    it('throws EOFError without consuming bytes when data is short', async () => {
+        let loader = new StreamLoader()
+        serve(new Uint8Array([0, 5, 104, 105]), 4)
+        let done = new Promise((resolve) => loader.on(LoaderEvent.COMPLETE, resolve))
+        loader.load(new URLRequest('http://127.0.0.1/stream.bin'))
+        await done
+        expect(() => loader.readInt()).not.toThrow()
+        expect(() => loader.readInt()).toThrow(EOFError)
+        expect(loader.bytesAvailable).toBe(0)
+    })
+    
+    it('leaves the position unchanged when readUTF runs out of data', async () => {
+        let loader = new StreamLoader()
+        serve(new Uint8Array([0, 5, 104, 105]), 4)
+        let done = new Promise((resolve) => loader.on(LoaderEvent.COMPLETE, resolve))
+        loader.load(new URLRequest('http://127.0.0.1/stream.bin'))
+        await done
+        expect(() => loader.readUTF()).toThrow(EOFError)
+        expect(loader.bytesAvailable).toBe(4)
+        expect(loader.readUnsignedShort()).toBe(5)
+        expect(loader.readUTFBytes(2)).toBe('hi')
+    })
+    
+    it('rejects readBytes into a target that is too small', async () => {
+        let loader = new StreamLoader()
+        serve(new Uint8Array([1, 2, 3, 4]), 4)
+        let done = new Promise((resolve) => loader.on(LoaderEvent.COMPLETE, resolve))
+        loader.load(new URLRequest('http://127.0.0.1/stream.bin'))
+        await done
+        expect(() => loader.readBytes(new Uint8Array(2), 1, 2)).toThrow(RangeError)
+        let bytes = new Uint8Array(4)
+        loader.readBytes(bytes)
+        expect(Array.from(bytes)).toEqual([1, 2, 3, 4])
+    })
+})
@@ -29,6 +29,12 @@ import EventEmitter from 'events'
 import LoaderEvent from '../../events/LoaderEvent'
 import EventLevel from '../../events/EventLevel'
 import LoaderDataFormat from './LoaderDataFormat'
+import LoaderPromise from './LoaderPromise'
+import LoaderError from '../../errors/LoaderError'
+import Archive from '../archive/Archive'
+import LoaderStats from './LoaderStats'
+import RetryPolicy from './RetryPolicy'
+import Transport from '../transport/Transport'
 
 const initialize = Symbol('initialize')
 const reset = Symbol('reset')
@@ -41,6 +47,11 @@ const onComplete = Symbol('onComplete')
 const onError = Symbol('onError')
 const onClose = Symbol('onClose')
 const onLoadend = Symbol('onLoadend')
+const unpack = Symbol('unpack')
+const unloaded = Symbol('unloaded')
+const send = Symbol('send')
+const retry = Symbol('retry')
+const create = Symbol('create')
 
 export default class URLLoader extends EventEmitter {
     constructor (request = null) {
@@ -84,6 +95,7 @@ export default class URLLoader extends EventEmitter {
      * 如果 dataFormat 属性是 LoaderDataFormat.TEXT，则所接收的数据是一个包含已加载文件文本的字符串。
      * 如果 dataFormat 属性是 LoaderDataFormat.BINARY，则所接收的数据是一个包含原始二进制数据的 ByteArray 对象。
      * 如果 dataFormat 属性是 LoaderDataFormat.DOCUMENT，则所接收的数据是一个包含 DOM树 的文本字符串。
+     * 如果 dataFormat 属性是 LoaderDataFormat.ZIP、GZIP、TAR 或 TGZ，data为包内的文件列表，取文件请调getFile接口。
      *
      * @returns {*|null}
      */
@@ -96,6 +108,16 @@ export default class URLLoader extends EventEmitter {
         this._data = value
     }
     
+    /**
+     * manifest
+     * 只读，压缩包的文件清单，字段说明参见 Archive.manifest。只有当 dataFormat 为压缩包格式且加载完成时，才会填充该属性。
+     *
+     * @returns {*|Array}
+     */
+    get manifest () {
+        return this._archive ? this._archive.manifest : null
+    }
+    
     /**
      * dataFormat
      * 控制是以文本 (LoaderDataFormat.TEXT)、原始二进制数据 (LoaderDataFormat.BINARY) 还是 URL 编码变量 (LoaderDataFormat.VARIABLES) 接收下载的数据。
@@ -113,6 +135,10 @@ export default class URLLoader extends EventEmitter {
             case LoaderDataFormat.TEXT:
             case LoaderDataFormat.DOCUMENT:
             case LoaderDataFormat.JSON:
+            case LoaderDataFormat.ZIP:
+            case LoaderDataFormat.GZIP:
+            case LoaderDataFormat.TAR:
+            case LoaderDataFormat.TGZ:
                 this._dataFormat = value
                 break
             default:
@@ -135,6 +161,41 @@ export default class URLLoader extends EventEmitter {
         this._timeout = value
     }
     
+    /**
+     * transport
+     * 传输方式（默认 null，使用 Transport.backend）：Transport.XHR、Transport.FETCH 或返回请求对象的函数，参见 Transport。
+     * 须在 load() 之前设置。
+     *
+     * @returns {*|string|Function}
+     */
+    get transport () {
+        return this._transport
+    }
+    
+    // noinspection JSAnnotator
+    set transport (value) {
+        this._transport = value || null
+        // 以新的传输方式重新创建请求对象
+        if (this._xhr) this[abort]()
+        this[create]()
+    }
+    
+    /**
+     * retry
+     * 重试策略（默认 null 不重试），可设置为 RetryPolicy、选项对象或 true（默认选项），优先于 URLRequest.retry。
+     * 网络错误、超时或可重试的 HTTP 状态码时按策略重新请求，每次重试前调度 LoaderEvent.RETRY。
+     *
+     * @returns {*|RetryPolicy}
+     */
+    get retry () {
+        return this._retry
+    }
+    
+    // noinspection JSAnnotator
+    set retry (value) {
+        this._retry = RetryPolicy.from(value)
+    }
+    
     /**
      * state
      * 只读，返回下载状态。0：连接尚未打开，1：连接已打开，2：请求头部和状态已可获取，3：下载中，4：下载完成。
@@ -150,45 +211,80 @@ export default class URLLoader extends EventEmitter {
      */
     close () {
         if (this.timeout) clearTimeout(this._timer)
+        if (this._retryTimer) {
+            // 等待重试时没有进行中的请求，直接调度 CLOSE
+            clearTimeout(this._retryTimer)
+            this._retryTimer = null
+            this[onClose]()
+        }
         this[abort]()
         this[reset]()
     }
     
     /**
      * 从指定的 URL 发送和加载数据。
+     * 返回一个 Promise：COMPLETE 时以 data 兑现，ERROR 或 CLOSE 时以 LoaderError 拒绝。
+     *
+     * @returns {Promise}
      */
     load (request) {
         if (request) this._request = request
+        this._stats.start()
+        this._attempts = 1
         try {
-            // start timer
-            if (this.timeout) {
-                this._timer = setTimeout(() => {
-                    this[abort]()
-                    this[onTimeout]()
-                }, this.timeout)
-            }
-            // open load
-            this._xhr.open(this._request.method, this._request.url, true)
-            if (this._request.requestHeaders && this._request.requestHeaders.length) {
-                this._request.requestHeaders.map((item) => {
-                    this._xhr.setRequestHeader(item.name, item.value)
-                })
-            }
-            this._xhr.responseType = (this.dataFormat === LoaderDataFormat.BINARY) ? 'arraybuffer' : this.dataFormat
-            this._xhr.send(this._request.data)
+            this[send]()
+            return LoaderPromise.from(this)
         } catch (err) {
             throw new TypeError('所传递的请求 URLRequest 对象或 URLRequest.url 属性为 null。')
         }
     }
     
+    /**
+     * 当 dataFormat 为压缩包格式（LoaderDataFormat.ZIP、GZIP、TAR、TGZ）时，下载完成后在当前线程解包，
+     * 通过此接口异步方式获取包内的文件，用法与 WorkerLoader.getFile 相同。压缩包尚未加载完成时，以 LoaderError（#1003）拒绝。
+     *
+     * @param key 为文件名称
+     * @param options 可选，{ type: 'text' | 'json' | 'arraybuffer' | 'blob' | 'base64' }
+     * @returns {Promise}
+     */
+    getFile (key, options = {}) {
+        return this._archive ? this._archive.getFile(key, options) : this[unloaded](key)
+    }
+    
+    /**
+     * 一次性获取压缩包内所有匹配 pattern 的文件，返回 { 文件名: 内容 } 形式的对象，用法与 WorkerLoader.getFiles 相同。
+     *
+     * @param pattern glob 字符串或正则表达式
+     * @param options 可选，同 getFile
+     * @returns {Promise}
+     */
+    getFiles (pattern, options = {}) {
+        return this._archive ? this._archive.getFiles(pattern, options) : this[unloaded](pattern)
+    }
+    
+    /**
+     * 一次性获取压缩包内 path 目录（含子目录）下的所有文件，返回 { 文件名: 内容 } 形式的对象，用法与 WorkerLoader.getFolder 相同。
+     *
+     * @param path 目录路径，如 'textures/'
+     * @param options 可选，同 getFile
+     * @returns {Promise}
+     */
+    getFolder (path, options = {}) {
+        return this._archive ? this._archive.getFolder(path, options) : this[unloaded](path)
+    }
+    
     // Internals
     //
     
     [initialize] (request) {
         this[reset]()
         this._request = request
+        this[create]()
+    }
+    
+    [create] () {
         try {
-            this._xhr = new XMLHttpRequest()
+            this._xhr = Transport.create(this.transport)
             this._xhr.addEventListener('loadstart', this[onStart].bind(this), false)
             this._xhr.addEventListener('progress', this[onProgress].bind(this), false)
             this._xhr.addEventListener('abort', this[onClose].bind(this), false)
@@ -210,6 +306,14 @@ export default class URLLoader extends EventEmitter {
         this._timeout = 0
         this._xhr = null
         this._timer = null
+        this._archive = null
+        this._stats = new LoaderStats()
+        this._transport = null
+        this._retry = null
+        this._attempts = 0
+        this._retryTimer = null
+        this._retrying = false
+        this._active_disconnect = false
     }
     
     [abort] () {
@@ -227,6 +331,11 @@ export default class URLLoader extends EventEmitter {
     }
     
     [onStart] (evt) {
+        if (this._retrying) {
+            // 重试不再重复调度 START
+            this._retrying = false
+            return
+        }
         let _evt = {
             code: LoaderEvent.START,
             level: EventLevel.STATUS,
@@ -252,10 +361,15 @@ export default class URLLoader extends EventEmitter {
             progress: _progress,
             message: `URLLoader load progress ${parseInt(_progress * 100)}%.`
         }
+        Object.assign(_evt, this._stats.update(this.bytesLoaded, this.bytesTotal))
         this.emit(LoaderEvent.PROGRESS, _evt)
     }
     
     [onClose] (evt) {
+        if (this._active_disconnect) {
+            this._active_disconnect = false
+            return
+        }
         let _evt = {
             code: LoaderEvent.CLOSE,
             level: EventLevel.STATUS,
@@ -269,6 +383,7 @@ export default class URLLoader extends EventEmitter {
     
     [onError] (evt) {
         if (this.timeout) clearTimeout(this._timer)
+        if (this[retry](1000)) return
         let _code = 1000
         let _desc = 'network error'
         let _err = {
@@ -284,6 +399,10 @@ export default class URLLoader extends EventEmitter {
     [onComplete] (evt) {
         if (this._xhr.status >= 400) return
         let response = this._xhr.response || this._xhr.responseText
+        if (Archive.isArchive(this.dataFormat)) {
+            this[unpack](response)
+            return
+        }
         switch (this.dataFormat) {
             case LoaderDataFormat.BINARY:
                 this.data = response
@@ -296,7 +415,17 @@ export default class URLLoader extends EventEmitter {
                 try {
                     this.data = ((typeof response) === 'string') ? JSON.parse(response) : response
                 } catch (err) {
-                    throw new Error('JSON parse failed: ' + response)
+                    let _code = 1005
+                    let _desc = 'JSON parse failed'
+                    let _err = {
+                        code: _code,
+                        level: EventLevel.ERROR,
+                        desc: _desc,
+                        target: this,
+                        message: `URLLoader load "${this._request && this._request.url}" failed, the response is not valid JSON: #${_code}`
+                    }
+                    this.emit(LoaderEvent.ERROR, _err)
+                    return
                 }
                 break
         }
@@ -311,6 +440,41 @@ export default class URLLoader extends EventEmitter {
         this.emit(LoaderEvent.COMPLETE, _evt)
     }
     
+    [unpack] (response) {
+        Archive.open(response, this.dataFormat, {url: this._request && this._request.url}).then((archive) => {
+            this._archive = archive
+            this.data = archive.files
+            let _evt = {
+                code: LoaderEvent.COMPLETE,
+                level: EventLevel.STATUS,
+                target: this,
+                data: this.data,
+                manifest: archive.manifest,
+                message: `URLLoader load "${this._request && this._request.url}" is completed.`
+            }
+            this.emit(LoaderEvent.COMPLETE, _evt)
+        }, (err) => {
+            let _err = {
+                code: err.code,
+                level: EventLevel.ERROR,
+                desc: err.desc,
+                target: this,
+                message: `URLLoader load "${this._request && this._request.url}" failed: #${err.code}`
+            }
+            this.emit(LoaderEvent.ERROR, _err)
+        })
+    }
+    
+    [unloaded] (key) {
+        return Promise.reject(new LoaderError({
+            code: 1003,
+            level: EventLevel.ERROR,
+            desc: 'archive not loaded',
+            target: this,
+            message: `URLLoader get file "${key}" failed: #1003`
+        }))
+    }
+    
     [onTimeout] (evt) {
         let _code = 408
         let _desc = 'request timeout'
@@ -324,6 +488,56 @@ export default class URLLoader extends EventEmitter {
         this.emit(LoaderEvent.ERROR, _err)
     }
     
+    [send] () {
+        // start timer
+        if (this.timeout) {
+            this._timer = setTimeout(() => {
+                if (this[retry](408)) return
+                this[abort]()
+                this[onTimeout]()
+            }, this.timeout)
+        }
+        // open load
+        this._xhr.open(this._request.method, this._request.url, true)
+        if (this._request.requestHeaders && this._request.requestHeaders.length) {
+            this._request.requestHeaders.map((item) => {
+                this._xhr.setRequestHeader(item.name, item.value)
+            })
+        }
+        // JSON 以文本接收后自行解析，解析失败时才能调度 ERROR
+        this._xhr.responseType = (this.dataFormat === LoaderDataFormat.BINARY || Archive.isArchive(this.dataFormat)) ? 'arraybuffer' : (this.dataFormat === LoaderDataFormat.JSON ? 'text' : this.dataFormat)
+        this._xhr.send(this._request.data)
+    }
+    
+    [retry] (code, retryAfter = null) {
+        let policy = this.retry || RetryPolicy.from(this._request && this._request.retry)
+        if (!policy || !policy.retryable(this._attempts, code)) return false
+        let delay = policy.delay(this._attempts, retryAfter)
+        this._attempts++
+        this._stats.retry()
+        if (this._xhr.readyState > 0 && this._xhr.readyState < 4) {
+            // 中断失败的请求，不调度 CLOSE
+            this._active_disconnect = true
+            this._xhr.abort()
+        }
+        let _evt = {
+            code: LoaderEvent.RETRY,
+            level: EventLevel.WARNING,
+            target: this,
+            attempt: this._attempts,
+            delay: delay,
+            reason: code,
+            message: `URLLoader load "${this._request && this._request.url}" failed: #${code}, retry ${this._attempts} in ${delay}ms.`
+        }
+        this.emit(LoaderEvent.RETRY, _evt)
+        this._retryTimer = setTimeout(() => {
+            this._retryTimer = null
+            this._retrying = true
+            this[send]()
+        }, delay)
+        return true
+    }
+    
     [onLoadend] (evt) {
         // ignore..
     }
@@ -334,6 +548,8 @@ export default class URLLoader extends EventEmitter {
         switch (this.state) {
             case 2:
                 if (this._xhr.status >= 400) {
+                    if (this.timeout) clearTimeout(this._timer)
+                    if (this[retry](this._xhr.status, this._xhr.getResponseHeader('Retry-After'))) break
                     let _code = this._xhr.status
                     let _desc = this._xhr.status >= 500 ? 'server error' : 'request error'
                     let _err = {
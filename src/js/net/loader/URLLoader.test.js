@@ -0,0 +1,66 @@
+import {describe, it, expect, vi, afterEach} from 'vitest'
+import MockServer from '../../../../test/MockServer'
+import URLLoader from './URLLoader'
+import URLRequest from './URLRequest'
+import LoaderDataFormat from './LoaderDataFormat'
+import LoaderEvent from '../../events/LoaderEvent'
+
+const FILE = 'http://127.0.0.1/a.txt'
+
+const serve = (handler) => {
+    const server = new MockServer(handler)
+    vi.stubGlobal('XMLHttpRequest', server.XMLHttpRequest)
+    return server
+}
+
+const create = (retry) => {
+    const loader = new URLLoader()
+    loader.dataFormat = LoaderDataFormat.TEXT
+    loader.retry = retry
+    return loader
+}
+
+describe('URLLoader', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals()
+    })
+    
+    it('retries network errors and retryable statuses with RETRY events', async () => {
+        const responses = [{error: true}, {status: 503}, {status: 429, headers: {'Retry-After': '0'}}, {body: 'ok'}]
+        const server = serve(() => responses.shift())
+        const loader = create({base: 1, jitter: 0, maxAttempts: 4})
+        let retries = []
+        let starts = 0
+        loader.on(LoaderEvent.RETRY, (evt) => retries.push([evt.attempt, evt.reason, evt.delay]))
+        loader.on(LoaderEvent.START, () => starts++)
+        expect(await loader.load(new URLRequest(FILE))).toBe('ok')
+        expect(retries).toEqual([[2, 1000, 1], [3, 503, 2], [4, 429, 0]])
+        expect(server.requests.length).toBe(4)
+        expect(starts).toBe(1)
+    })
+    
+    it('uses URLRequest.retry and gives up after maxAttempts', async () => {
+        serve(() => ({status: 500}))
+        const request = new URLRequest(FILE)
+        request.retry = {base: 1, maxAttempts: 2}
+        const loader = create(null)
+        let retries = 0
+        loader.on(LoaderEvent.RETRY, () => retries++)
+        await expect(loader.load(request)).rejects.toMatchObject({code: 500})
+        expect(retries).toBe(1)
+        // 不可重试的状态码直接失败
+        serve(() => ({status: 404}))
+        await expect(create(true).load(new URLRequest(FILE))).rejects.toMatchObject({code: 404})
+    })
+    
+    it('dispatches CLOSE when closed while waiting to retry', async () => {
+        const server = serve(() => ({status: 503}))
+        const loader = create({base: 1000})
+        const result = loader.load(new URLRequest(FILE))
+        await vi.waitFor(() => expect(server.requests.length).toBe(1))
+        await new Promise((resolve) => setTimeout(resolve, 10))
+        loader.close()
+        await expect(result).rejects.toMatchObject({code: LoaderEvent.CLOSE})
+        expect(server.requests.length).toBe(1)
+    })
+})
@@ -47,7 +47,8 @@ export default class URLRequest extends EventEmitter {
     set data (obj) {
         var temp = null
         if (this._method === 'POST' && obj) {
-            temp = new FormData()
+            // 没有 FormData 的环境改用 URLSearchParams
+            temp = typeof FormData !== 'undefined' ? new FormData() : new URLSearchParams()
             for (var key in obj) {
                 temp.append(key, obj[key])
             }
@@ -55,6 +56,21 @@ export default class URLRequest extends EventEmitter {
         this._data = temp
     }
     
+    /**
+     * 子资源完整性（SRI）校验值，如 "sha256-47DEQpj8HBSa+/TImW+5JCeuQeRkm5NMpJWZG3hSuFU="，多个值以空格分隔。
+     * FileLoader 和 WorkerLoader 下载完成后按此校验数据，不匹配时调度 LoaderEvent.ERROR（#1007）。
+     *
+     * @returns {*|string}
+     */
+    get integrity () {
+        return this._integrity
+    }
+    
+    // noinspection JSAnnotator
+    set integrity (value) {
+        this._integrity = value
+    }
+    
     /**
      * 控制 HTTP 式提交方法。
      *
@@ -83,6 +99,21 @@ export default class URLRequest extends EventEmitter {
         this._requestHeaders = value
     }
     
+    /**
+     * 重试策略，可设置为 RetryPolicy、选项对象（如 { maxAttempts: 5 }）或 true（默认选项）。
+     * 加载器未设置 retry 时使用此值。
+     *
+     * @returns {*|null}
+     */
+    get retry () {
+        return this._retry
+    }
+    
+    // noinspection JSAnnotator
+    set retry (value) {
+        this._retry = value
+    }
+    
     /**
      * 所请求的 URL。
      *
@@ -103,8 +134,10 @@ export default class URLRequest extends EventEmitter {
     [initialize] (url) {
         this._contentType = 'application/x-www-form-urlencoded'
         this._data = null
+        this._integrity = null
         this._method = 'GET'
         this._requestHeaders = []
+        this._retry = null
         this._url = url
     }
 }
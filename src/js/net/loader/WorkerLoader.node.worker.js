@@ -0,0 +1,16 @@
+/**
+ * Node 线程下载器的线程入口
+ *
+ * NodeWorker 以 worker_threads 加载此文件，线程中使用 NodeTransport 下载，通过 parentPort 与主线程的 WorkerLoader 通信。
+ *
+ * @author 8088
+ */
+'use strict'
+import {parentPort} from 'worker_threads'
+import '../transport/NodeTransport'
+import LoaderWorker from './LoaderWorker'
+
+new LoaderWorker({
+    addEventListener: (type, listener) => parentPort.on(type, (data) => listener({data: data})),
+    postMessage: (message, transfer) => parentPort.postMessage(message, transfer)
+})
@@ -0,0 +1,216 @@
+import {describe, it, expect, vi, beforeEach, afterEach} from 'vitest'
+import MockServer from '../../../../test/MockServer'
+import MockWorker from '../../../../test/MockWorker'
+import Zip from '../../../../test/Zip'
+import Tar from '../../../../test/Tar'
+import zlib from 'zlib'
+import WorkerLoader from './WorkerLoader'
+import URLRequest from './URLRequest'
+import LoaderDataFormat from './LoaderDataFormat'
+import LoaderEvent from '../../events/LoaderEvent'
+
+const ZIP = Zip.create([
+    {name: 'index.json', data: '{"version":1}'},
+    {name: 'docs/'},
+    {name: 'docs/readme.txt', data: 'read me'},
+    {name: 'docs/notes.txt', data: 'notes', method: 0}
+])
+
+const noise = (size, seed) => {
+    let bytes = new Uint8Array(size)
+    for (let i = 0; i !== size; i++) {
+        seed = (Math.imul(seed, 1103515245) + 12345) >>> 0
+        bytes[i] = seed >>> 24
+    }
+    return bytes
+}
+
+const open = (bytes = ZIP, dataFormat = LoaderDataFormat.ZIP, url = 'http://127.0.0.1/a.zip') => {
+    vi.stubGlobal('XMLHttpRequest', new MockServer(MockServer.file(bytes)).XMLHttpRequest)
+    const loader = new WorkerLoader()
+    loader.dataFormat = dataFormat
+    return loader.load(new URLRequest(url)).then(() => loader)
+}
+
+describe('WorkerLoader', () => {
+    beforeEach(() => {
+        MockWorker.install()
+    })
+    
+    afterEach(() => {
+        vi.unstubAllGlobals()
+    })
+    
+    it('resolves concurrent getFile calls with their own files', async () => {
+        const loader = await open()
+        let files = await Promise.all([loader.getFile('docs/readme.txt'), loader.getFile('index.json'), loader.getFile('docs/notes.txt')])
+        expect(files).toEqual(['read me', '{"version":1}', 'notes'])
+    })
+    
+    it('rejects getFile for a missing entry with #1002', async () => {
+        const loader = await open()
+        await expect(loader.getFile('missing.txt')).rejects.toMatchObject({code: 1002, desc: 'file not found'})
+        expect(await loader.getFile('index.json')).toBe('{"version":1}')
+    })
+    
+    it('rejects getFile before the archive is loaded with #1003', async () => {
+        vi.stubGlobal('XMLHttpRequest', new MockServer(() => ({hold: true})).XMLHttpRequest)
+        const loader = new WorkerLoader()
+        await expect(loader.getFile('index.json')).rejects.toMatchObject({code: 1003})
+    })
+    
+    it('rejects pending getFile calls when closed', async () => {
+        const loader = await open()
+        let pending = loader.getFile('index.json')
+        loader.close()
+        await expect(pending).rejects.toMatchObject({code: LoaderEvent.CLOSE})
+    })
+    
+    it('returns files as text, json, arraybuffer, blob or base64', async () => {
+        const loader = await open()
+        expect(await loader.getFile('index.json', {type: 'json'})).toEqual({version: 1})
+        expect(await loader.getFile('docs/readme.txt', {type: 'text'})).toBe('read me')
+        let buffer = await loader.getFile('docs/notes.txt', {type: 'arraybuffer'})
+        expect(buffer).toBeInstanceOf(ArrayBuffer)
+        expect(new TextDecoder().decode(buffer)).toBe('notes')
+        let blob = await loader.getFile('docs/readme.txt', {type: 'blob'})
+        expect(await blob.text()).toBe('read me')
+        expect(await loader.getFile('docs/readme.txt', {type: 'base64'})).toBe(Buffer.from('read me').toString('base64'))
+    })
+    
+    it('rejects unsupported types and unparsable JSON', async () => {
+        const loader = await open()
+        await expect(loader.getFile('index.json', {type: 'xml'})).rejects.toBeInstanceOf(TypeError)
+        await expect(loader.getFile('docs/readme.txt', {type: 'json'})).rejects.toMatchObject({code: 1005})
+    })
+    
+    it('collects files matching a glob or regular expression with getFiles', async () => {
+        const loader = await open()
+        expect(await loader.getFiles('*.txt')).toEqual({'docs/readme.txt': 'read me', 'docs/notes.txt': 'notes'})
+        expect(await loader.getFiles('**/*.json', {type: 'json'})).toEqual({'index.json': {version: 1}})
+        expect(await loader.getFiles('docs/?otes.txt')).toEqual({'docs/notes.txt': 'notes'})
+        expect(await loader.getFiles(/^index\./)).toEqual({'index.json': '{"version":1}'})
+        expect(await loader.getFiles('*.png')).toEqual({})
+    })
+    
+    it('collects every file under a folder with getFolder', async () => {
+        const loader = await open()
+        let files = await loader.getFolder('docs', {type: 'arraybuffer'})
+        expect(Object.keys(files).sort()).toEqual(['docs/notes.txt', 'docs/readme.txt'])
+        expect(new TextDecoder().decode(files['docs/notes.txt'])).toBe('notes')
+        await expect(loader.getFolder('docs/', {type: 'xml'})).rejects.toBeInstanceOf(TypeError)
+    })
+    
+    it('streams entries with signed, unsigned and ZIP64 data descriptors while downloading', async () => {
+        const entries = [
+            {name: 'a.bin', data: noise(150000, 1), method: 0, descriptor: 'signature'},
+            {name: 'b.txt', data: 'streamed '.repeat(20000), descriptor: 'plain'},
+            {name: 'c.bin', data: noise(150000, 2), method: 0, descriptor: 'plain'},
+            {name: 'd.bin', data: noise(150000, 3), descriptor: 'zip64'},
+            {name: 'e.txt', data: 'last'}
+        ]
+        const server = new MockServer(MockServer.file(Zip.create(entries)))
+        vi.stubGlobal('XMLHttpRequest', server.XMLHttpRequest)
+        const loader = new WorkerLoader()
+        loader.dataFormat = LoaderDataFormat.ZIP
+        loader.streaming = true
+        let streamed = []
+        loader.on(LoaderEvent.ENTRY, (evt) => streamed.push({entry: evt.entry, data: evt.data, requests: server.requests.length}))
+        await loader.load(new URLRequest('http://127.0.0.1/a.zip'))
+        expect(streamed.map((item) => item.entry.name)).toEqual(['a.bin', 'b.txt', 'c.bin', 'd.bin', 'e.txt'])
+        streamed.map((item, i) => {
+            let data = typeof entries[i].data === 'string' ? Buffer.from(entries[i].data) : entries[i].data
+            expect(item.entry).toMatchObject({dir: false, size: data.length, crc32: zlib.crc32(data)})
+            expect(Buffer.from(item.data).equals(data)).toBe(true)
+        })
+        // 第一个条目在最后一个分片下载之前即已解压
+        expect(streamed[0].requests).toBeLessThan(streamed[4].requests)
+    })
+    
+    it('reads a GZIP file named after the URL', async () => {
+        const text = 'gzip '.repeat(1000)
+        const loader = await open(zlib.gzipSync(text), LoaderDataFormat.GZIP, 'http://127.0.0.1/data/log.txt.gz?v=1')
+        expect(loader.data).toEqual(['log.txt'])
+        expect(loader.manifest[0]).toMatchObject({name: 'log.txt', dir: false, size: text.length, crc32: zlib.crc32(text)})
+        expect(await loader.getFile('log.txt')).toBe(text)
+    })
+    
+    it('reads TAR and TGZ archives including PAX long names', async () => {
+        const long = 'deep/' + 'x'.repeat(120) + '.txt'
+        const tar = Tar.create([
+            {name: 'docs/'},
+            {name: 'docs/readme.txt', data: 'read me', mode: 0o600},
+            {name: long, data: 'long name'}
+        ])
+        for (let [bytes, dataFormat] of [[tar, LoaderDataFormat.TAR], [zlib.gzipSync(tar), LoaderDataFormat.TGZ]]) {
+            const loader = await open(bytes, dataFormat, 'http://127.0.0.1/a.tar')
+            expect(loader.data).toEqual(['docs/readme.txt', long])
+            expect(loader.manifest.map((item) => item.name)).toEqual(['docs/', 'docs/readme.txt', long])
+            expect(loader.manifest[1]).toMatchObject({dir: false, size: 7, compressedSize: 7, crc32: null, unixPermissions: 0o600})
+            expect(loader.manifest[1].date).toEqual(new Date(Date.UTC(2024, 0, 1)))
+            expect(await loader.getFolder('docs')).toEqual({'docs/readme.txt': 'read me'})
+            expect(await loader.getFile(long)).toBe('long name')
+        }
+    })
+    
+    it('rejects with #1004 when the GZIP data is corrupt', async () => {
+        let bytes = zlib.gzipSync('corrupt '.repeat(100))
+        bytes[0] = 0
+        await expect(open(bytes, LoaderDataFormat.GZIP)).rejects.toMatchObject({code: 1004, desc: 'decompression failed'})
+    })
+    
+    it('passes chunkSize to the worker', async () => {
+        const server = new MockServer(MockServer.file(ZIP))
+        vi.stubGlobal('XMLHttpRequest', server.XMLHttpRequest)
+        const loader = new WorkerLoader()
+        loader.dataFormat = LoaderDataFormat.ZIP
+        loader.chunkSize = 200
+        await loader.load(new URLRequest('http://127.0.0.1/a.zip'))
+        let ranges = server.requests.map((item) => item.headers['range']).filter((range) => range)
+        expect(ranges.slice(0, 2)).toEqual(['bytes=0-199', 'bytes=200-399'])
+        expect(ranges.length).toBe(Math.ceil(ZIP.length / 200))
+        expect(await loader.getFile('index.json')).toBe('{"version":1}')
+    })
+    
+    it('lists every entry with sizes and CRC32 in the manifest', async () => {
+        const text = 'manifest '.repeat(100)
+        const bytes = Zip.create([
+            {name: 'docs/'},
+            {name: 'docs/a.txt', data: text},
+            {name: 'b.txt', data: 'stored', method: 0, descriptor: 'signature'}
+        ])
+        const loader = await open(bytes)
+        let manifest = {}
+        loader.manifest.map((item) => {
+            manifest[item.name] = item
+        })
+        expect(Object.keys(manifest).sort()).toEqual(['b.txt', 'docs/', 'docs/a.txt'])
+        expect(manifest['docs/'].dir).toBe(true)
+        expect(manifest['docs/a.txt']).toMatchObject({
+            dir: false,
+            size: text.length,
+            compressedSize: zlib.deflateRawSync(text).length,
+            crc32: zlib.crc32(text)
+        })
+        expect(manifest['b.txt']).toMatchObject({size: 6, compressedSize: 6, crc32: zlib.crc32('stored')})
+        expect(manifest['b.txt'].date).toEqual(new Date(2024, 0, 1))
+    })
+    
+    it('forwards transfer statistics on PROGRESS events', async () => {
+        vi.stubGlobal('XMLHttpRequest', new MockServer(MockServer.file(ZIP)).XMLHttpRequest)
+        const loader = new WorkerLoader()
+        loader.dataFormat = LoaderDataFormat.ZIP
+        loader.chunkSize = 200
+        let events = []
+        loader.on(LoaderEvent.PROGRESS, (evt) => events.push(evt))
+        await loader.load(new URLRequest('http://127.0.0.1/a.zip'))
+        expect(events[events.length - 1]).toMatchObject({
+            loaded: ZIP.length,
+            chunks: Math.ceil(ZIP.length / 200),
+            retries: 0,
+            speed: expect.any(Number),
+            averageSpeed: expect.any(Number),
+            elapsed: expect.any(Number)
+        })
+    })
+})
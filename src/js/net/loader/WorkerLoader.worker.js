@@ -0,0 +1,11 @@
+/**
+ * Web线程下载器的线程入口
+ *
+ * 此文件及其依赖使用省略扩展名的导入和包名，须经打包工具作为 Worker 入口打包后才能在浏览器中加载，参见 WorkerLoader.createWorker、WorkerLoader.workerURL。
+ *
+ * @author 8088
+ */
+'use strict'
+import LoaderWorker from './LoaderWorker'
+
+new LoaderWorker(self)
@@ -0,0 +1,241 @@
+/**
+ * 文件下载目标
+ *
+ * 供 Node 中的 FileLoader.destination 使用，分片按偏移直接写入磁盘，不在内存中保留整个文件。
+ * 下载期间写入 <file>.part（按文件大小预先设置长度），<file>.part.json 保存 URL、ETag、总大小及已写入的范围；
+ * 下载完成后 .part 改名为目标文件并删除 .part.json。进程崩溃或重启后，新的 FileLoader 加载同一 URL 时从 .part 中从开头起连续的部分继续下载。
+ * 写入的数据先进入系统缓存，暂停、关闭及完成时调用 fsync 落盘。
+ *
+ * Usage:
+ * var loader = new FileLoader()
+ *     loader.destination = new FileDestination('/data/big.bin')
+ *     loader.load(new URLRequest('https://127.0.0.1/big.bin')).then((file) => console.log(file))
+ *
+ * @author 8088
+ */
+'use strict'
+import fs from 'fs'
+import path from 'path'
+
+const initialize = Symbol('initialize')
+const release = Symbol('release')
+const mark = Symbol('mark')
+const read = Symbol('read')
+const write = Symbol('write')
+const unlink = Symbol('unlink')
+const serial = Symbol('serial')
+
+export default class FileDestination {
+    constructor (file) {
+        this[initialize](file)
+    }
+    
+    /**
+     * path
+     * 只读，下载完成后的文件路径。
+     *
+     * @returns {*|string}
+     */
+    get path () {
+        return this._file
+    }
+    
+    /**
+     * 打开 .part 文件。.part.json 的记录与 record 一致（URL、ETag、Last-Modified、总大小相同）且 record.ranged 为 true 时继续使用已写入的数据，
+     * 否则清空重新写入，并按 record.total 预先设置文件长度。
+     *
+     * @param record { url, etag, lastModified, total, ranged }
+     * @returns {Promise} 以从文件开头起连续已写入的字节数兑现
+     */
+    open (record) {
+        return this[serial](() => this[release]().then(() => this[read]()).then((meta) => {
+            let total = record.total === undefined ? null : Number(record.total)
+            let resume = !!record.ranged && !!meta && meta.url === record.url && meta.total === total &&
+                (meta.etag || null) === (record.etag || null) && (meta.lastModified || null) === (record.lastModified || null)
+            this._record = {url: record.url, etag: record.etag || null, lastModified: record.lastModified || null, total: total}
+            this._written = resume ? meta.ranges.slice() : []
+            return fs.promises.mkdir(path.dirname(this._file), {recursive: true}).then(() => {
+                return fs.promises.open(this._part, resume ? 'r+' : 'w+').catch((err) => {
+                    // .part 已被删除时重新创建
+                    if (!resume || err.code !== 'ENOENT') throw err
+                    this._written = []
+                    return fs.promises.open(this._part, 'w+')
+                })
+            })
+        }).then((handle) => {
+            this._handle = handle
+            if (this._written.length) return
+            return (this._record.total ? handle.truncate(this._record.total) : Promise.resolve()).then(() => this[write]())
+        }).then(() => {
+            let loaded = 0
+            this._written.map((item) => {
+                if (item[0] <= loaded) loaded = Math.max(loaded, item[0] + item[1])
+            })
+            return loaded
+        }))
+    }
+    
+    /**
+     * 在 offset 处写入分片，写入后更新 .part.json。
+     *
+     * @param offset 分片在文件中的偏移
+     * @param bytes 分片数据（Uint8Array）
+     * @returns {Promise}
+     */
+    write (offset, bytes) {
+        let data = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+        return this[serial](() => {
+            if (!this._handle) return Promise.reject(new Error(`FileDestination "${this._file}" is not opened.`))
+            let done = 0
+            let next = () => {
+                if (done >= data.length) return Promise.resolve()
+                return this._handle.write(data, done, data.length - done, offset + done).then((result) => {
+                    done += result.bytesWritten
+                    return next()
+                })
+            }
+            return next().then(() => {
+                this[mark](offset, data.length)
+                return this[write]()
+            })
+        })
+    }
+    
+    /**
+     * 读取已写入的数据，用于下载完成后计算摘要或解包。
+     *
+     * @param offset 偏移
+     * @param length 字节数
+     * @returns {Promise} 以 Uint8Array 兑现
+     */
+    read (offset, length) {
+        return this[serial](() => {
+            if (!this._handle) return Promise.reject(new Error(`FileDestination "${this._file}" is not opened.`))
+            let data = Buffer.alloc(length)
+            return this._handle.read(data, 0, length, offset).then((result) => {
+                return new Uint8Array(data.buffer, data.byteOffset, result.bytesRead)
+            })
+        })
+    }
+    
+    /**
+     * 将已写入的数据落盘（fsync），暂停下载时调用。
+     *
+     * @returns {Promise}
+     */
+    sync () {
+        return this[serial](() => this._handle ? this._handle.sync().then(() => this[write]()) : Promise.resolve())
+    }
+    
+    /**
+     * 清空已写入的数据，文件长度恢复为预先设置的大小，用于服务器上的文件变化或不支持 Range 时重新下载。
+     *
+     * @returns {Promise}
+     */
+    reset () {
+        return this[serial](() => {
+            if (!this._handle) return Promise.resolve()
+            this._written = []
+            return this._handle.truncate(0).then(() => {
+                return this._record.total ? this._handle.truncate(this._record.total) : null
+            }).then(() => this[write]())
+        })
+    }
+    
+    /**
+     * 下载完成，落盘后将 .part 改名为目标文件，删除 .part.json。
+     *
+     * @returns {Promise} 以目标文件路径兑现
+     */
+    finish () {
+        return this[serial](() => this[release]().then(() => {
+            return fs.promises.rename(this._part, this._file)
+        }).then(() => this[unlink](this._meta)).then(() => this._file))
+    }
+    
+    /**
+     * 关闭文件，保留 .part 与 .part.json 供之后继续下载。
+     *
+     * @returns {Promise}
+     */
+    close () {
+        return this[serial](() => this[release]())
+    }
+    
+    /**
+     * 关闭并删除 .part 与 .part.json。
+     *
+     * @returns {Promise}
+     */
+    remove () {
+        return this[serial](() => this[release]().then(() => {
+            return Promise.all([this._part, this._meta].map((file) => this[unlink](file)))
+        }))
+    }
+    
+    // Internals
+    //
+    
+    [initialize] (file) {
+        if (!file) throw new TypeError('FileDestination 需要目标文件路径。')
+        this._file = path.resolve(String(file))
+        this._part = this._file + '.part'
+        this._meta = this._part + '.json'
+        this._handle = null
+        this._record = null
+        this._written = []
+        this._queue = Promise.resolve()
+    }
+    
+    [release] () {
+        // 落盘并关闭文件，已写入的范围同步到 .part.json
+        let handle = this._handle
+        if (!handle) return Promise.resolve()
+        this._handle = null
+        return handle.sync().then(() => this[write]()).then(() => handle.close(), (err) => handle.close().then(() => {
+            throw err
+        }))
+    }
+    
+    [mark] (offset, length) {
+        // 合并相邻或重叠的范围，[offset, length] 按 offset 升序
+        let start = offset
+        let end = offset + length
+        let ranges = []
+        this._written.map((item) => {
+            if (item[0] + item[1] < start || item[0] > end) {
+                ranges.push(item)
+                return
+            }
+            start = Math.min(start, item[0])
+            end = Math.max(end, item[0] + item[1])
+        })
+        ranges.push([start, end - start])
+        this._written = ranges.sort((a, b) => a[0] - b[0])
+    }
+    
+    [read] () {
+        return fs.promises.readFile(this._meta, 'utf8').then((text) => JSON.parse(text), () => null)
+    }
+    
+    [write] () {
+        if (!this._record) return Promise.resolve()
+        // 先写临时文件再改名，崩溃时 .part.json 不会只写入一半
+        let temp = this._meta + '.tmp'
+        let meta = Object.assign({}, this._record, {ranges: this._written})
+        return fs.promises.writeFile(temp, JSON.stringify(meta)).then(() => fs.promises.rename(temp, this._meta))
+    }
+    
+    [unlink] (file) {
+        return fs.promises.unlink(file).catch((err) => {
+            if (err.code !== 'ENOENT') throw err
+        })
+    }
+    
+    [serial] (task) {
+        // 读写按调用顺序依次执行
+        let next = this._queue.then(task, task)
+        this._queue = next.catch(() => {})
+        return next
+    }
+}
@@ -0,0 +1,60 @@
+import {describe, it, expect, beforeEach, afterEach} from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import FileDestination from './FileDestination'
+
+const FILE = 'http://127.0.0.1/file.bin'
+
+describe('FileDestination', () => {
+    let dir = null
+    
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'destination-'))
+    })
+    
+    afterEach(() => {
+        fs.rmSync(dir, {recursive: true, force: true})
+    })
+    
+    it('writes slices at their offsets and resumes from the contiguous part', async () => {
+        const file = path.join(dir, 'a', 'file.bin')
+        const record = {url: FILE, etag: '"v1"', total: 6, ranged: true}
+        const destination = new FileDestination(file)
+        expect(await destination.open(record)).toBe(0)
+        expect(fs.statSync(file + '.part').size).toBe(6)
+        await destination.write(0, new Uint8Array([1, 2]))
+        await destination.write(4, new Uint8Array([5, 6]))
+        expect(Array.from(await destination.read(0, 2))).toEqual([1, 2])
+        await destination.close()
+        expect(JSON.parse(fs.readFileSync(file + '.part.json', 'utf8'))).toMatchObject({url: FILE, etag: '"v1"', total: 6})
+        // 记录一致时继续，不一致或不支持 Range 时从头开始
+        const resumed = new FileDestination(file)
+        expect(await resumed.open(record)).toBe(2)
+        await resumed.write(2, new Uint8Array([3, 4]))
+        expect(await resumed.finish()).toBe(file)
+        expect(Array.from(fs.readFileSync(file))).toEqual([1, 2, 3, 4, 5, 6])
+        expect(fs.readdirSync(path.dirname(file))).toEqual(['file.bin'])
+        const changed = new FileDestination(path.join(dir, 'b.bin'))
+        await changed.open(record)
+        await changed.write(0, new Uint8Array([1]))
+        await changed.close()
+        expect(await changed.open(Object.assign({}, record, {etag: '"v2"'}))).toBe(0)
+        await changed.write(0, new Uint8Array([1]))
+        expect(await changed.open(Object.assign({}, record, {etag: '"v2"', ranged: false}))).toBe(0)
+        await changed.close()
+    })
+    
+    it('resets and removes the part files', async () => {
+        const file = path.join(dir, 'file.bin')
+        const destination = new FileDestination(file)
+        await destination.open({url: FILE, total: 4, ranged: true})
+        await destination.write(0, new Uint8Array([1, 2, 3, 4]))
+        await destination.reset()
+        expect(Array.from(fs.readFileSync(file + '.part'))).toEqual([0, 0, 0, 0])
+        await destination.remove()
+        expect(fs.readdirSync(dir)).toEqual([])
+        await expect(destination.write(0, new Uint8Array(1))).rejects.toThrow(/not opened/)
+        expect(() => new FileDestination('')).toThrow(TypeError)
+    })
+})
@@ -0,0 +1,127 @@
+/**
+ * IndexedDB 断点存储
+ *
+ * 供 FileLoader.storage 使用，把已下载的分片保存在浏览器的 IndexedDB 中，页面刷新后可从中断处继续下载，Worker 中同样可用。
+ * 存储适配器需实现以下接口，均返回 Promise：
+ *   get(url)                       取得保存的记录 { url, etag, lastModified, total, loaded }，没有时为 null
+ *   chunks(url)                    取得保存的分片 [{ offset, data }]，data 为 ArrayBuffer
+ *   put(url, record, offset, bytes) 保存 offset 处的分片 bytes（Uint8Array）并更新记录
+ *   remove(url)                    删除记录及全部分片
+ *
+ * @author 8088
+ */
+'use strict'
+
+const initialize = Symbol('initialize')
+const open = Symbol('open')
+const transact = Symbol('transact')
+const range = Symbol('range')
+
+export default class IDBStorage {
+    constructor (name = 'js.net') {
+        this[initialize](name)
+    }
+    
+    /**
+     * name
+     * 只读，IndexedDB 数据库名称。
+     *
+     * @returns {*|string}
+     */
+    get name () {
+        return this._name
+    }
+    
+    /**
+     * 取得 url 保存的记录。
+     *
+     * @param url 下载地址
+     * @returns {Promise}
+     */
+    get (url) {
+        return this[transact]('readonly', (files) => files.get(url)).then((record) => record || null)
+    }
+    
+    /**
+     * 取得 url 保存的全部分片，按 offset 升序排列。
+     *
+     * @param url 下载地址
+     * @returns {Promise}
+     */
+    chunks (url) {
+        return this[transact]('readonly', (files, chunks) => chunks.getAll(this[range](url))).then((items) => {
+            return (items || []).map((item) => ({offset: item.offset, data: item.data}))
+        })
+    }
+    
+    /**
+     * 保存 offset 处的分片，同时更新记录。
+     *
+     * @param url 下载地址
+     * @param record { url, etag, lastModified, total, loaded }
+     * @param offset 分片在文件中的偏移
+     * @param bytes 分片数据（Uint8Array）
+     * @returns {Promise}
+     */
+    put (url, record, offset, bytes) {
+        let data = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength)
+        return this[transact]('readwrite', (files, chunks) => {
+            chunks.put({url: url, offset: offset, data: data})
+            files.put(Object.assign({}, record, {url: url}))
+        })
+    }
+    
+    /**
+     * 删除 url 的记录及全部分片。
+     *
+     * @param url 下载地址
+     * @returns {Promise}
+     */
+    remove (url) {
+        return this[transact]('readwrite', (files, chunks) => {
+            chunks.delete(this[range](url))
+            files.delete(url)
+        })
+    }
+    
+    // Internals
+    //
+    
+    [initialize] (name) {
+        this._name = name
+        this._db = null
+    }
+    
+    [open] () {
+        if (!this._db) {
+            this._db = new Promise((resolve, reject) => {
+                let request = indexedDB.open(this._name, 1)
+                request.onupgradeneeded = () => {
+                    let db = request.result
+                    db.createObjectStore('files', {keyPath: 'url'})
+                    db.createObjectStore('chunks', {keyPath: ['url', 'offset']})
+                }
+                request.onsuccess = () => resolve(request.result)
+                request.onerror = () => reject(request.error)
+            })
+            this._db.catch(() => {
+                this._db = null
+            })
+        }
+        return this._db
+    }
+    
+    [transact] (mode, handler) {
+        return this[open]().then((db) => new Promise((resolve, reject) => {
+            let tx = db.transaction(['files', 'chunks'], mode)
+            let request = handler(tx.objectStore('files'), tx.objectStore('chunks'))
+            tx.oncomplete = () => resolve(request ? request.result : undefined)
+            tx.onerror = () => reject(tx.error)
+            tx.onabort = () => reject(tx.error)
+        }))
+    }
+    
+    [range] (url) {
+        return IDBKeyRange.bound([url, 0], [url, Infinity])
+    }
+}
@@ -0,0 +1,140 @@
+/**
+ * 目录断点存储
+ *
+ * 供 Node 中的 FileLoader.storage 使用，接口与 IDBStorage 相同。
+ * 每个 URL 在目录下对应两个文件：<hash>.part 按偏移写入已下载的分片，<hash>.json 保存记录及已写入的分片范围。
+ *
+ * @author 8088
+ */
+'use strict'
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+
+const initialize = Symbol('initialize')
+const file = Symbol('file')
+const read = Symbol('read')
+const write = Symbol('write')
+const serial = Symbol('serial')
+
+export default class NodeStorage {
+    constructor (dir) {
+        this[initialize](dir)
+    }
+    
+    /**
+     * dir
+     * 只读，保存数据的目录。
+     *
+     * @returns {*|string}
+     */
+    get dir () {
+        return this._dir
+    }
+    
+    /**
+     * 取得 url 保存的记录。
+     *
+     * @param url 下载地址
+     * @returns {Promise}
+     */
+    get (url) {
+        return this[serial](url, () => this[read](url).then((meta) => {
+            if (!meta) return null
+            let record = Object.assign({}, meta)
+            delete record.chunks
+            return record
+        }))
+    }
+    
+    /**
+     * 取得 url 保存的全部分片，按 offset 升序排列。
+     *
+     * @param url 下载地址
+     * @returns {Promise}
+     */
+    chunks (url) {
+        return this[serial](url, () => this[read](url).then((meta) => {
+            if (!meta || !meta.chunks || !meta.chunks.length) return []
+            return fs.promises.open(this[file](url, '.part'), 'r').then((handle) => {
+                let items = meta.chunks.slice().sort((a, b) => a[0] - b[0])
+                return Promise.all(items.map((item) => {
+                    let data = Buffer.alloc(item[1])
+                    return handle.read(data, 0, item[1], item[0]).then(() => ({
+                        offset: item[0],
+                        data: data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength)
+                    }))
+                })).then((result) => handle.close().then(() => result), (err) => handle.close().then(() => { throw err }))
+            })
+        }))
+    }
+    
+    /**
+     * 保存 offset 处的分片，同时更新记录。
+     *
+     * @param url 下载地址
+     * @param record { url, etag, lastModified, total, loaded }
+     * @param offset 分片在文件中的偏移
+     * @param bytes 分片数据（Uint8Array）
+     * @returns {Promise}
+     */
+    put (url, record, offset, bytes) {
+        let data = Buffer.from(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength))
+        return this[serial](url, () => fs.promises.mkdir(this._dir, {recursive: true}).then(() => {
+            return fs.promises.open(this[file](url, '.part'), 'a+').then((handle) => handle.close())
+        }).then(() => {
+            return fs.promises.open(this[file](url, '.part'), 'r+')
+        }).then((handle) => {
+            return handle.write(data, 0, data.length, offset).then(() => handle.close(), (err) => handle.close().then(() => { throw err }))
+        }).then(() => this[read](url)).then((meta) => {
+            let chunks = (meta && meta.chunks) || []
+            chunks.push([offset, data.length])
+            return this[write](url, Object.assign({}, record, {url: url, chunks: chunks}))
+        }))
+    }
+    
+    /**
+     * 删除 url 的记录及全部分片。
+     *
+     * @param url 下载地址
+     * @returns {Promise}
+     */
+    remove (url) {
+        return this[serial](url, () => Promise.all(['.json', '.part'].map((ext) => {
+            return fs.promises.unlink(this[file](url, ext)).catch((err) => {
+                if (err.code !== 'ENOENT') throw err
+            })
+        })))
+    }
+    
+    // Internals
+    //
+    
+    [initialize] (dir) {
+        this._dir = dir
+        this._queues = {}
+    }
+    
+    [file] (url, ext) {
+        return path.join(this._dir, crypto.createHash('sha1').update(String(url)).digest('hex') + ext)
+    }
+    
+    [read] (url) {
+        return fs.promises.readFile(this[file](url, '.json'), 'utf8').then((text) => JSON.parse(text), () => null)
+    }
+    
+    [write] (url, meta) {
+        return fs.promises.writeFile(this[file](url, '.json'), JSON.stringify(meta))
+    }
+    
+    [serial] (url, task) {
+        // 同一 URL 的读写按调用顺序依次执行
+        let last = this._queues[url] || Promise.resolve()
+        let next = last.then(task, task)
+        let tail = next.catch(() => {}).then(() => {
+            if (this._queues[url] === tail) delete this._queues[url]
+        })
+        this._queues[url] = tail
+        return next
+    }
+}
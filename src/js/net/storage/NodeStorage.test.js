@@ -0,0 +1,41 @@
+import {describe, it, expect, beforeEach, afterEach} from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import NodeStorage from './NodeStorage'
+
+const FILE = 'http://127.0.0.1/file.bin'
+
+describe('NodeStorage', () => {
+    let dir = null
+    
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'))
+    })
+    
+    afterEach(() => {
+        fs.rmSync(dir, {recursive: true, force: true})
+    })
+    
+    it('keeps the record and the chunks written at their offsets', async () => {
+        const storage = new NodeStorage(path.join(dir, 'cache'))
+        const record = {url: FILE, etag: '"v1"', lastModified: null, total: 6, loaded: 3}
+        // 不等待，同一 FILE 的读写按调用顺序执行
+        storage.put(FILE, record, 3, new Uint8Array([4, 5, 6]))
+        await storage.put(FILE, Object.assign({}, record, {loaded: 6}), 0, new Uint8Array([1, 2, 3]).subarray(0, 3))
+        expect(await storage.get(FILE)).toEqual(Object.assign({}, record, {loaded: 6}))
+        let chunks = await storage.chunks(FILE)
+        expect(chunks.map((chunk) => [chunk.offset, Array.from(new Uint8Array(chunk.data))])).toEqual([[0, [1, 2, 3]], [3, [4, 5, 6]]])
+        expect(await new NodeStorage(storage.dir).get(FILE)).toMatchObject({loaded: 6})
+    })
+    
+    it('removes everything saved for a FILE', async () => {
+        const storage = new NodeStorage(dir)
+        await storage.put(FILE, {url: FILE, total: 1, loaded: 1}, 0, new Uint8Array([1]))
+        await storage.remove(FILE)
+        expect(await storage.get(FILE)).toBe(null)
+        expect(await storage.chunks(FILE)).toEqual([])
+        expect(fs.readdirSync(dir)).toEqual([])
+        await storage.remove(FILE)
+    })
+})
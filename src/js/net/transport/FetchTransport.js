@@ -0,0 +1,322 @@
+/**
+ * 基于 Fetch API 的传输
+ *
+ * FetchTransport 以 fetch 实现加载器用到的 XMLHttpRequest 接口：open、setRequestHeader、overrideMimeType、send、abort、
+ * getResponseHeader、getAllResponseHeaders，以及 loadstart、readystatechange、progress、load、error、abort、loadend 事件。
+ * 加载器无需区分传输方式，LoaderEvent 的调度保持不变。
+ * 响应体以 ReadableStream 逐块读取，每块调度一次 progress；中断通过 AbortController 实现。
+ *
+ * Usage:
+ * var xhr = new FetchTransport()
+ *     xhr.addEventListener('load', (evt) => { console.log(xhr.response) })
+ *     xhr.open('GET', 'http://127.0.0.1/big.bin')
+ *     xhr.responseType = 'arraybuffer'
+ *     xhr.send()
+ *
+ * @author 8088
+ */
+'use strict'
+
+const initialize = Symbol('initialize')
+const dispatch = Symbol('dispatch')
+const change = Symbol('change')
+const read = Symbol('read')
+const receive = Symbol('receive')
+const complete = Symbol('complete')
+const fail = Symbol('fail')
+const result = Symbol('result')
+const text = Symbol('text')
+
+export default class FetchTransport {
+    constructor () {
+        this[initialize]()
+    }
+    
+    /**
+     * 只读，与 XMLHttpRequest.response 相同，按 responseType 返回响应体，请求完成前为 null（文本类型返回已收到的部分）。
+     *
+     * @returns {*}
+     */
+    get response () {
+        if (this.readyState === 4) return this._response
+        return (this.responseType === '' || this.responseType === 'text') ? this._text : null
+    }
+    
+    /**
+     * 只读，已收到的响应文本。overrideMimeType 指定 charset=x-user-defined 时，每个字符的低 8 位为一个原始字节。
+     *
+     * @returns {string}
+     */
+    get responseText () {
+        return this._text
+    }
+    
+    /**
+     * 初始化请求，进行中的请求会被中断且不调度事件。
+     *
+     * @param method HTTP 方法
+     * @param url 请求的 URL
+     */
+    open (method, url) {
+        this._gen++
+        if (this._controller) this._controller.abort()
+        this._controller = null
+        this._method = String(method).toUpperCase()
+        this._url = url
+        this._requestHeaders = {}
+        this._responseHeaders = null
+        this._sent = false
+        this._chunks = []
+        this._loaded = 0
+        this._total = 0
+        this._text = ''
+        this._decoder = null
+        this._response = null
+        this.status = 0
+        this.statusText = ''
+        this.responseURL = ''
+        this[change](1)
+    }
+    
+    setRequestHeader (name, value) {
+        let key = String(name).toLowerCase()
+        this._requestHeaders[key] = key in this._requestHeaders ? `${this._requestHeaders[key]}, ${value}` : String(value)
+    }
+    
+    overrideMimeType (mime) {
+        this._binary = /charset\s*=\s*x-user-defined/i.test(mime)
+    }
+    
+    getResponseHeader (name) {
+        return this._responseHeaders ? this._responseHeaders.get(name) : null
+    }
+    
+    getAllResponseHeaders () {
+        if (!this._responseHeaders) return ''
+        let lines = []
+        this._responseHeaders.forEach((value, name) => lines.push(`${name}: ${value}`))
+        return lines.join('\r\n')
+    }
+    
+    /**
+     * 发送请求，GET、HEAD 请求忽略 body。
+     *
+     * @param body 可选，请求体
+     */
+    send (body = null) {
+        if (this.readyState !== 1 || this._sent) throw new Error('FetchTransport 尚未 open 或已发送。')
+        this._sent = true
+        let gen = this._gen
+        let init = {
+            method: this._method,
+            headers: this._requestHeaders,
+            credentials: this.withCredentials ? 'include' : 'same-origin'
+        }
+        if (typeof AbortController !== 'undefined') {
+            this._controller = new AbortController()
+            init.signal = this._controller.signal
+        }
+        if (body !== null && body !== undefined && this._method !== 'GET' && this._method !== 'HEAD') init.body = body
+        this[dispatch]('loadstart')
+        this.fetch(this._url, init).then((response) => {
+            if (gen !== this._gen) return
+            this.status = response.status
+            this.statusText = response.statusText
+            this.responseURL = response.url
+            this._responseHeaders = response.headers
+            this[change](2)
+            // 处理 readystatechange 时可能已中断
+            if (gen !== this._gen) return
+            return this[read](response, gen)
+        }).catch(() => {
+            if (gen === this._gen) this[fail]()
+        })
+    }
+    
+    /**
+     * 中断请求，与 XMLHttpRequest 相同，进行中的请求调度 readystatechange、abort 和 loadend 事件。
+     */
+    abort () {
+        let active = this._sent && this.readyState > 0 && this.readyState < 4
+        this._gen++
+        if (this._controller) this._controller.abort()
+        this._controller = null
+        if (active) {
+            this.status = 0
+            this._response = null
+            this[change](4)
+            this[dispatch]('abort')
+            this[dispatch]('loadend')
+        }
+        if (active || this.readyState === 4) this.readyState = 0
+    }
+    
+    /**
+     * 发出请求，默认使用全局的 fetch。子类可覆盖此方法改用其他实现，返回的对象只需提供 status、statusText、url、
+     * headers（get、forEach）和 body.getReader()，并在 init.signal 中断时拒绝，参见 NodeTransport。
+     *
+     * @param url 请求的 URL
+     * @param init fetch 的选项
+     * @returns {Promise}
+     */
+    fetch (url, init) {
+        return fetch(url, init)
+    }
+    
+    addEventListener (type, listener) {
+        let listeners = this._listeners[type] || (this._listeners[type] = [])
+        if (listeners.indexOf(listener) === -1) listeners.push(listener)
+    }
+    
+    removeEventListener (type, listener) {
+        let listeners = this._listeners[type] || []
+        let index = listeners.indexOf(listener)
+        if (index !== -1) listeners.splice(index, 1)
+    }
+    
+    // Internals
+    //
+    
+    [initialize] () {
+        this._listeners = {}
+        this._gen = 0
+        this._controller = null
+        this._method = 'GET'
+        this._url = null
+        this._requestHeaders = {}
+        this._responseHeaders = null
+        this._sent = false
+        this._binary = false
+        this._chunks = []
+        this._loaded = 0
+        this._total = 0
+        this._text = ''
+        this._decoder = null
+        this._response = null
+        this.readyState = 0
+        this.status = 0
+        this.statusText = ''
+        this.responseType = ''
+        this.responseURL = ''
+        this.withCredentials = false
+        this.timeout = 0
+    }
+    
+    [dispatch] (type) {
+        let evt = {
+            type: type,
+            target: this,
+            loaded: this._loaded,
+            total: this._total,
+            lengthComputable: this._total > 0
+        }
+        let listeners = (this._listeners[type] || []).slice()
+        if (typeof this['on' + type] === 'function') listeners.push(this['on' + type])
+        listeners.map((listener) => {
+            try {
+                listener.call(this, evt)
+            } catch (err) {
+                // 与浏览器的事件派发相同，监听器的异常不影响请求，异步抛出
+                setTimeout(() => {
+                    throw err
+                }, 0)
+            }
+        })
+    }
+    
+    [change] (state) {
+        this.readyState = state
+        this[dispatch]('readystatechange')
+    }
+    
+    [read] (response, gen) {
+        // 压缩传输时 Content-Length 为压缩后的大小，与 XMLHttpRequest 相同仅作参考
+        this._total = Number(response.headers.get('Content-Length')) || 0
+        if (!response.body || !response.body.getReader) {
+            // 不支持 ReadableStream 时整体读取
+            return response.arrayBuffer().then((buffer) => {
+                if (gen !== this._gen) return
+                if (buffer.byteLength) this[receive](new Uint8Array(buffer))
+                if (gen === this._gen) this[complete]()
+            })
+        }
+        let reader = response.body.getReader()
+        let pump = () => reader.read().then((chunk) => {
+            if (gen !== this._gen) return reader.cancel().catch(() => {})
+            if (chunk.done) {
+                this[complete]()
+                return
+            }
+            this[receive](chunk.value)
+            if (gen !== this._gen) return reader.cancel().catch(() => {})
+            return pump()
+        })
+        return pump()
+    }
+    
+    [receive] (bytes) {
+        this._chunks.push(bytes)
+        this._loaded += bytes.byteLength
+        this[text](bytes)
+        if (this.readyState !== 3) this[change](3)
+        this[dispatch]('progress')
+    }
+    
+    [text] (bytes) {
+        if (this._binary) {
+            for (let i = 0; i < bytes.length; i += 8192) {
+                this._text += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192))
+            }
+        } else if (this.responseType === '' || this.responseType === 'text') {
+            if (!this._decoder) this._decoder = new TextDecoder('utf-8')
+            this._text += this._decoder.decode(bytes, {stream: true})
+        }
+    }
+    
+    [complete] () {
+        if (this._decoder) this._text += this._decoder.decode()
+        this._controller = null
+        this._response = this[result]()
+        this[change](4)
+        this[dispatch]('load')
+        this[dispatch]('loadend')
+    }
+    
+    [fail] () {
+        this._controller = null
+        this.status = 0
+        this._response = null
+        this[change](4)
+        this[dispatch]('error')
+        this[dispatch]('loadend')
+    }
+    
+    [result] () {
+        if (this.responseType === '' || this.responseType === 'text') return this._text
+        let bytes = new Uint8Array(this._loaded)
+        let offset = 0
+        this._chunks.map((chunk) => {
+            bytes.set(chunk, offset)
+            offset += chunk.byteLength
+        })
+        this._chunks = []
+        switch (this.responseType) {
+            case 'arraybuffer':
+                return bytes.buffer
+            case 'blob':
+                if (typeof Blob === 'undefined') return bytes.buffer
+                return new Blob([bytes], {type: this.getResponseHeader('Content-Type') || ''})
+            case 'json':
+                try {
+                    return JSON.parse(new TextDecoder('utf-8').decode(bytes))
+                } catch (err) {
+                    return null
+                }
+            case 'document':
+                if (typeof DOMParser === 'undefined') return null
+                let type = (this.getResponseHeader('Content-Type') || '').split(';')[0].trim()
+                return new DOMParser().parseFromString(new TextDecoder('utf-8').decode(bytes), /xml$/.test(type) ? type : 'text/html')
+        }
+        return null
+    }
+}
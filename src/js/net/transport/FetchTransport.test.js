@@ -0,0 +1,178 @@
+import {describe, it, expect, vi, afterEach} from 'vitest'
+import FetchTransport from './FetchTransport'
+import Transport from './Transport'
+import URLLoader from '../loader/URLLoader'
+import FileLoader from '../loader/FileLoader'
+import URLRequest from '../loader/URLRequest'
+import LoaderDataFormat from '../loader/LoaderDataFormat'
+import LoaderEvent from '../../events/LoaderEvent'
+
+const FILE = 'http://127.0.0.1/file.bin'
+
+const bytes = (length) => Uint8Array.from({length: length}, (_, i) => (i * 7) & 0xff)
+
+// 按 chunk 大小分块输出的响应体
+const stream = (data, chunk) => new ReadableStream({
+    start (controller) {
+        for (let i = 0; i < data.length; i += chunk) controller.enqueue(data.slice(i, i + chunk))
+        controller.close()
+    }
+})
+
+// 以 fetch 模拟支持 Range 的服务器，requests 记录每个请求的方法、头部与 signal
+const serve = (body, chunk = 500) => {
+    const state = {body: body, requests: []}
+    vi.stubGlobal('fetch', vi.fn((url, init) => {
+        state.requests.push({url: url, method: init.method, headers: init.headers, signal: init.signal})
+        if (state.fail) return Promise.reject(new TypeError('Failed to fetch'))
+        if (state.pending) return new Promise(() => {})
+        let data = state.body
+        let status = 200
+        let headers = {'Accept-Ranges': 'bytes', 'ETag': '"v1"', 'Content-Type': 'application/octet-stream'}
+        let match = /^bytes=(\d+)-(\d*)$/.exec(init.headers['range'] || '')
+        if (match) {
+            let start = Number(match[1])
+            let end = Math.min(match[2] ? Number(match[2]) : Infinity, data.length - 1)
+            data = data.slice(start, end + 1)
+            status = 206
+            headers['Content-Range'] = `bytes ${start}-${end}/${state.body.length}`
+        }
+        headers['Content-Length'] = String(data.length)
+        return Promise.resolve(new Response(init.method === 'HEAD' ? null : stream(data, chunk), {status: status, headers: headers}))
+    }))
+    return state
+}
+
+const record = (xhr) => {
+    let events = []
+    ;['loadstart', 'readystatechange', 'progress', 'load', 'error', 'abort', 'loadend'].map((type) => {
+        xhr.addEventListener(type, (evt) => events.push(type === 'readystatechange' ? type + xhr.readyState : type + (type === 'progress' ? evt.loaded : '')))
+    })
+    return events
+}
+
+const done = (xhr) => new Promise((resolve) => xhr.addEventListener('loadend', resolve))
+
+describe('FetchTransport', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals()
+    })
+    
+    it('dispatches the XMLHttpRequest events with a progress per chunk', async () => {
+        const state = serve(bytes(1200))
+        const xhr = new FetchTransport()
+        let events = record(xhr)
+        xhr.open('get', FILE)
+        xhr.setRequestHeader('Range', 'bytes=0-')
+        xhr.responseType = 'arraybuffer'
+        xhr.send()
+        await done(xhr)
+        expect(events).toEqual([
+            'readystatechange1', 'loadstart', 'readystatechange2',
+            'readystatechange3', 'progress500', 'progress1000', 'progress1200',
+            'readystatechange4', 'load', 'loadend'
+        ])
+        expect(state.requests[0]).toMatchObject({method: 'GET', headers: {'range': 'bytes=0-'}})
+        expect(xhr.status).toBe(206)
+        expect(xhr.getResponseHeader('content-range')).toBe('bytes 0-1199/1200')
+        expect(xhr.getAllResponseHeaders()).toMatch(/^etag: "v1"$/m)
+        expect(new Uint8Array(xhr.response)).toEqual(state.body)
+    })
+    
+    it('returns text, json, blob and user-defined binary text', async () => {
+        serve(new TextEncoder().encode('{"name":"文件"}'), 4)
+        const load = async (type, mime) => {
+            const xhr = new FetchTransport()
+            xhr.open('GET', FILE)
+            xhr.responseType = type
+            if (mime) xhr.overrideMimeType(mime)
+            xhr.send()
+            await done(xhr)
+            return xhr
+        }
+        expect((await load('')).response).toBe('{"name":"文件"}')
+        expect((await load('json')).response).toEqual({name: '文件'})
+        expect(await (await load('blob')).response.text()).toBe('{"name":"文件"}')
+        let text = (await load('', 'text/plain; charset=x-user-defined')).responseText
+        expect(Uint8Array.from(text, (c) => c.charCodeAt(0) & 0xff)).toEqual(new TextEncoder().encode('{"name":"文件"}'))
+    })
+    
+    it('aborts through AbortController and reports network errors', async () => {
+        const state = serve(bytes(100))
+        state.pending = true
+        const xhr = new FetchTransport()
+        let events = record(xhr)
+        xhr.open('GET', FILE)
+        xhr.send()
+        xhr.abort()
+        expect(state.requests[0].signal.aborted).toBe(true)
+        expect(events.slice(2)).toEqual(['readystatechange4', 'abort', 'loadend'])
+        expect(xhr.readyState).toBe(0)
+        state.pending = false
+        state.fail = true
+        events.length = 0
+        xhr.open('GET', FILE)
+        xhr.send()
+        await done(xhr)
+        expect(events.slice(2)).toEqual(['readystatechange4', 'error', 'loadend'])
+        expect(xhr.status).toBe(0)
+    })
+    
+    it('is created by Transport from a name, a function or the environment', () => {
+        const custom = {}
+        expect(Transport.create(() => custom)).toBe(custom)
+        expect(Transport.create(Transport.FETCH)).toBeInstanceOf(FetchTransport)
+        expect(() => Transport.create('socket')).toThrow(TypeError)
+        vi.stubGlobal('XMLHttpRequest', undefined)
+        expect(Transport.create()).toBeInstanceOf(FetchTransport)
+        Transport.backend = Transport.FETCH
+        try {
+            vi.stubGlobal('XMLHttpRequest', class {})
+            expect(Transport.create()).toBeInstanceOf(FetchTransport)
+        } finally {
+            Transport.backend = null
+        }
+    })
+})
+
+describe('Loaders over FetchTransport', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals()
+    })
+    
+    it('loads text with URLLoader', async () => {
+        serve(new TextEncoder().encode('hello fetch'), 3)
+        const loader = new URLLoader()
+        loader.transport = Transport.FETCH
+        loader.dataFormat = LoaderDataFormat.TEXT
+        let events = []
+        ;[LoaderEvent.START, LoaderEvent.HTTP_STATUS, LoaderEvent.COMPLETE].map((type) => loader.on(type, () => events.push(type)))
+        expect(await loader.load(new URLRequest(FILE))).toBe('hello fetch')
+        expect(events).toEqual([LoaderEvent.START, LoaderEvent.HTTP_STATUS, LoaderEvent.COMPLETE])
+    })
+    
+    it('downloads Range slices with FileLoader and dispatches CLOSE', async () => {
+        vi.stubGlobal('window', new EventTarget())
+        const state = serve(bytes(3500))
+        const loader = new FileLoader()
+        loader.transport = Transport.FETCH
+        loader.chunkSize = 1000
+        let progress = []
+        loader.on(LoaderEvent.PROGRESS, (evt) => progress.push(evt.loaded))
+        await loader.load(new URLRequest(FILE))
+        expect(new Uint8Array(loader.data)).toEqual(state.body)
+        expect(state.requests.filter((item) => item.method === 'GET').map((item) => item.headers['range'])).toEqual([
+            'bytes=0-999', 'bytes=1000-1999', 'bytes=2000-2999', 'bytes=3000-3999'
+        ])
+        expect(progress[progress.length - 1]).toBe(3500)
+        state.pending = true
+        let closed = 0
+        loader.on(LoaderEvent.CLOSE, () => closed++)
+        const result = loader.load(new URLRequest(FILE + '?2'))
+        await vi.waitFor(() => expect(state.requests.length).toBeGreaterThan(5))
+        loader.close()
+        expect(closed).toBe(1)
+        expect(state.requests[state.requests.length - 1].signal.aborted).toBe(true)
+        result.catch(() => {})
+    })
+})
@@ -0,0 +1,98 @@
+/**
+ * 网络状态
+ *
+ * FileLoader、WorkerLoader 通过 NetworkState 监听网络断开（offline）与恢复（online），恢复后继续下载。
+ * 浏览器中转发 window 的 online/offline 事件；Node 中没有这两个事件，由 NodeTransport 在请求因网络不可达失败时调用 offline()，
+ * 并定时探测，连通后调用 online()。也可以自行调用 online()、offline() 通知网络状态。
+ *
+ * Usage:
+ * NetworkState.addListener(NetworkState.ONLINE, () => console.log('network recovery'))
+ * NetworkState.offline()
+ *
+ * @author 8088
+ */
+'use strict'
+import EventEmitter from 'events'
+
+const emitter = new EventEmitter()
+const navigatorOnLine = () => typeof navigator !== 'undefined' && typeof navigator.onLine === 'boolean' ? navigator.onLine : true
+let onLine = navigatorOnLine()
+let bound = null
+
+export default class NetworkState {
+    /**
+     * [静态] 网络恢复事件。
+     * @type {string}
+     */
+    static ONLINE = 'online'
+    
+    /**
+     * [静态] 网络断开事件。
+     * @type {string}
+     */
+    static OFFLINE = 'offline'
+    
+    /**
+     * [静态] 只读，当前是否联网。
+     *
+     * @returns {boolean}
+     */
+    static get onLine () {
+        return onLine
+    }
+    
+    /**
+     * [静态] 添加网络状态的监听器，浏览器中第一次添加时开始转发 window 的 online/offline 事件，并以 navigator.onLine 更新当前状态。
+     *
+     * @param type NetworkState.ONLINE 或 NetworkState.OFFLINE
+     * @param listener 监听函数
+     */
+    static addListener (type, listener) {
+        if (typeof window !== 'undefined' && window.addEventListener && bound !== window) {
+            // 开始转发之前发生的 offline 事件没有收到，当前状态以 navigator.onLine 为准
+            bound = window
+            onLine = navigatorOnLine()
+            window.addEventListener('online', () => NetworkState.online(), false)
+            window.addEventListener('offline', () => NetworkState.offline(), false)
+        }
+        emitter.addListener(type, listener)
+    }
+    
+    /**
+     * [静态] 移除网络状态的监听器。
+     *
+     * @param type NetworkState.ONLINE 或 NetworkState.OFFLINE
+     * @param listener 监听函数
+     */
+    static removeListener (type, listener) {
+        emitter.removeListener(type, listener)
+    }
+    
+    /**
+     * [静态] 返回监听器的数量。
+     *
+     * @param type NetworkState.ONLINE 或 NetworkState.OFFLINE
+     * @returns {uint}
+     */
+    static listenerCount (type) {
+        return emitter.listenerCount(type)
+    }
+    
+    /**
+     * [静态] 通知网络已恢复，之前为断开状态时调度 online 事件。
+     */
+    static online () {
+        if (onLine) return
+        onLine = true
+        emitter.emit(NetworkState.ONLINE)
+    }
+    
+    /**
+     * [静态] 通知网络已断开，之前为联网状态时调度 offline 事件。
+     */
+    static offline () {
+        if (!onLine) return
+        onLine = false
+        emitter.emit(NetworkState.OFFLINE)
+    }
+}
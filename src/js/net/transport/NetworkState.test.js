@@ -0,0 +1,41 @@
+import {describe, it, expect, vi, afterEach} from 'vitest'
+import NetworkState from './NetworkState'
+
+describe('NetworkState', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals()
+        NetworkState.online()
+    })
+    
+    it('dispatches each change once and can be notified directly', () => {
+        let events = []
+        const listener = (type) => () => events.push(type)
+        const online = listener(NetworkState.ONLINE)
+        const offline = listener(NetworkState.OFFLINE)
+        NetworkState.addListener(NetworkState.ONLINE, online)
+        NetworkState.addListener(NetworkState.OFFLINE, offline)
+        NetworkState.offline()
+        NetworkState.offline()
+        expect(NetworkState.onLine).toBe(false)
+        NetworkState.online()
+        NetworkState.online()
+        expect(events).toEqual([NetworkState.OFFLINE, NetworkState.ONLINE])
+        NetworkState.removeListener(NetworkState.ONLINE, online)
+        NetworkState.removeListener(NetworkState.OFFLINE, offline)
+        expect(NetworkState.listenerCount(NetworkState.ONLINE)).toBe(0)
+    })
+    
+    it('forwards window events and starts from navigator.onLine', () => {
+        vi.stubGlobal('window', new EventTarget())
+        vi.stubGlobal('navigator', {onLine: false})
+        let events = 0
+        const listener = () => events++
+        NetworkState.addListener(NetworkState.ONLINE, listener)
+        expect(NetworkState.onLine).toBe(false)
+        window.dispatchEvent(new Event('online'))
+        expect(events).toBe(1)
+        window.dispatchEvent(new Event('offline'))
+        expect(NetworkState.onLine).toBe(false)
+        NetworkState.removeListener(NetworkState.ONLINE, listener)
+    })
+})
@@ -0,0 +1,167 @@
+/**
+ * 基于 Node http/https 的传输
+ *
+ * NodeTransport 继承 FetchTransport，以 Node 的 http、https 模块发出请求，响应体按 Node 流逐块读取，各加载器在 Node 中的用法与浏览器相同。
+ * 跟随重定向（最多 20 次），通过 AbortController 中断时销毁请求。
+ * import 此模块时注册为 Transport.NODE，之后在没有 XMLHttpRequest 的 Node 环境中自动使用。
+ * 请求因网络不可达（ENETUNREACH、EAI_AGAIN 等）失败时调用 NetworkState.offline()，并定时尝试连接该主机，连通后调用 NetworkState.online()。
+ *
+ * Usage:
+ * import 'js/net/transport/NodeTransport'
+ * var loader = new FileLoader()
+ *     loader.load(new URLRequest('https://127.0.0.1/big.bin'))
+ *
+ * @author 8088
+ */
+'use strict'
+import http from 'http'
+import https from 'https'
+import net from 'net'
+import FetchTransport from './FetchTransport'
+import Transport from './Transport'
+import NetworkState from './NetworkState'
+
+const request = Symbol('request')
+const encode = Symbol('encode')
+const response = Symbol('response')
+const watch = Symbol('watch')
+
+const MAX_REDIRECTS = 20
+const REDIRECTS = [301, 302, 303, 307, 308]
+const UNREACHABLE = ['ENETUNREACH', 'ENETDOWN', 'EHOSTUNREACH', 'EAI_AGAIN']
+const PROBE_INTERVAL = 5000
+let probing = null
+
+export default class NodeTransport extends FetchTransport {
+    /**
+     * 以 http/https 发出请求，返回与 fetch 的 Response 接口相同的对象。
+     *
+     * @param url 请求的 URL
+     * @param init fetch 的选项
+     * @returns {Promise}
+     */
+    fetch (url, init) {
+        return NodeTransport[encode](init.body).then((body) => {
+            let headers = Object.assign({}, init.headers)
+            if (body && body.type && !headers['content-type']) headers['content-type'] = body.type
+            return NodeTransport[request](new URL(url), init.method || 'GET', headers, body && body.data, init.signal, 0)
+        })
+    }
+    
+    // Internals
+    //
+    
+    static [request] (url, method, headers, data, signal, redirects) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new Error('aborted'))
+                return
+            }
+            // 每一跳结束时移除各自的 abort 监听器，重定向多次时不在 signal 上累积
+            let onAbort = () => {
+                req.destroy()
+                reject(new Error('aborted'))
+            }
+            let release = () => {
+                if (signal) signal.removeEventListener('abort', onAbort)
+            }
+            let options = {method: method, headers: Object.assign({}, headers)}
+            if (data) options.headers['content-length'] = data.length
+            let req = (url.protocol === 'https:' ? https : http).request(url, options, (res) => {
+                if (REDIRECTS.indexOf(res.statusCode) !== -1 && res.headers.location && redirects < MAX_REDIRECTS) {
+                    // 303 及 POST 的 301、302 改用 GET 且不再发送请求体
+                    res.resume()
+                    release()
+                    let get = res.statusCode === 303 || ((res.statusCode === 301 || res.statusCode === 302) && method === 'POST')
+                    let next = get ? Object.assign({}, headers) : headers
+                    if (get) delete next['content-type']
+                    resolve(NodeTransport[request](new URL(res.headers.location, url), get ? 'GET' : method, next, get ? null : data, signal, redirects + 1))
+                    return
+                }
+                res.on('close', release)
+                NetworkState.online()
+                resolve(NodeTransport[response](res, url))
+            })
+            req.on('error', (err) => {
+                release()
+                if (UNREACHABLE.indexOf(err.code) !== -1) NodeTransport[watch](url)
+                reject(err)
+            })
+            if (signal) signal.addEventListener('abort', onAbort, {once: true})
+            req.end(data || undefined)
+        })
+    }
+    
+    static [response] (res, url) {
+        const iterator = res[Symbol.asyncIterator]()
+        return {
+            status: res.statusCode,
+            statusText: res.statusMessage || '',
+            url: url.href,
+            headers: {
+                get: (name) => {
+                    let value = res.headers[String(name).toLowerCase()]
+                    if (value === undefined) return null
+                    return Array.isArray(value) ? value.join(', ') : String(value)
+                },
+                forEach: (callback) => {
+                    for (let name in res.headers) {
+                        let value = res.headers[name]
+                        callback(Array.isArray(value) ? value.join(', ') : String(value), name)
+                    }
+                }
+            },
+            body: {
+                getReader: () => ({
+                    read: () => iterator.next().then((chunk) => ({
+                        done: chunk.done,
+                        value: chunk.done ? undefined : new Uint8Array(chunk.value.buffer, chunk.value.byteOffset, chunk.value.byteLength)
+                    })),
+                    cancel: () => {
+                        res.destroy()
+                        return Promise.resolve()
+                    }
+                })
+            }
+        }
+    }
+    
+    static [encode] (body) {
+        // 请求体转为 Buffer；FormData、Blob 借助 Response 编码（Node 18 起提供）
+        if (body === null || body === undefined) return Promise.resolve(null)
+        if (typeof body === 'string') return Promise.resolve({data: Buffer.from(body), type: 'text/plain;charset=UTF-8'})
+        if (body instanceof ArrayBuffer) return Promise.resolve({data: Buffer.from(body), type: null})
+        if (ArrayBuffer.isView(body)) return Promise.resolve({data: Buffer.from(body.buffer, body.byteOffset, body.byteLength), type: null})
+        if (body instanceof URLSearchParams) return Promise.resolve({data: Buffer.from(body.toString()), type: 'application/x-www-form-urlencoded;charset=UTF-8'})
+        if (typeof Response === 'undefined') return Promise.reject(new TypeError('当前 Node 版本无法发送 FormData、Blob 请求体，请使用 Node 18 以上版本。'))
+        let encoded = new Response(body)
+        return encoded.arrayBuffer().then((buffer) => ({data: Buffer.from(buffer), type: encoded.headers.get('Content-Type')}))
+    }
+    
+    static [watch] (url) {
+        // 网络不可达时定时尝试连接，连通后通知网络恢复；没有加载器等待恢复时停止
+        NetworkState.offline()
+        if (probing) return
+        probing = setInterval(() => {
+            if (!NetworkState.listenerCount(NetworkState.ONLINE)) {
+                clearInterval(probing)
+                probing = null
+                return
+            }
+            let port = url.port || (url.protocol === 'https:' ? 443 : 80)
+            let socket = net.connect({host: url.hostname, port: port, timeout: PROBE_INTERVAL})
+            socket.on('connect', () => {
+                socket.destroy()
+                clearInterval(probing)
+                probing = null
+                NetworkState.online()
+            })
+            socket.on('timeout', () => socket.destroy())
+            socket.on('error', () => socket.destroy())
+        }, PROBE_INTERVAL)
+        // 定时探测不阻止进程退出
+        probing.unref()
+    }
+}
+
+Transport.backends[Transport.NODE] = NodeTransport
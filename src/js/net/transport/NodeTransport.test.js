@@ -0,0 +1,98 @@
+import {describe, it, expect, vi, beforeEach, afterEach} from 'vitest'
+import HttpServer from '../../../../test/HttpServer'
+import MockServer from '../../../../test/MockServer'
+import NodeTransport from './NodeTransport'
+import Transport from './Transport'
+import URLLoader from '../loader/URLLoader'
+import FileLoader from '../loader/FileLoader'
+import URLRequest from '../loader/URLRequest'
+import LoaderDataFormat from '../loader/LoaderDataFormat'
+
+const bytes = (length) => Uint8Array.from({length: length}, (_, i) => (i * 7) & 0xff)
+
+const done = (xhr) => new Promise((resolve) => xhr.addEventListener('loadend', resolve))
+
+describe('NodeTransport', () => {
+    let server = null
+    
+    beforeEach(async () => {
+        server = await new HttpServer(MockServer.file(bytes(3500))).listen()
+    })
+    
+    afterEach(async () => {
+        await server.close()
+    })
+    
+    it('is used by default where XMLHttpRequest is missing', () => {
+        expect(typeof XMLHttpRequest).toBe('undefined')
+        expect(Transport.create()).toBeInstanceOf(NodeTransport)
+        expect(Transport.create(Transport.NODE)).toBeInstanceOf(NodeTransport)
+        expect(() => Transport.create(Transport.XHR)).toThrow(TypeError)
+    })
+    
+    it('loads with URLLoader and in Range slices with FileLoader', async () => {
+        const text = new URLLoader()
+        text.dataFormat = LoaderDataFormat.BINARY
+        expect(new Uint8Array(await text.load(new URLRequest(server.url + '/a.bin')))).toEqual(bytes(3500))
+        const loader = new FileLoader()
+        loader.chunkSize = 1000
+        await loader.load(new URLRequest(server.url + '/b.bin'))
+        expect(new Uint8Array(loader.data)).toEqual(bytes(3500))
+        expect(server.requests.filter((item) => item.url.endsWith('/b.bin') && item.method === 'GET').map((item) => item.headers['range'])).toEqual([
+            'bytes=0-999', 'bytes=1000-1999', 'bytes=2000-2999', 'bytes=3000-3999'
+        ])
+    })
+    
+    it('follows redirects and removes each hop\'s abort listener', async () => {
+        const file = server.handler
+        server.handler = (request) => {
+            let path = new URL(request.url).pathname
+            if (path === '/r1') return {status: 302, headers: {'Location': '/r2'}}
+            if (path === '/r2') return {status: 307, headers: {'Location': server.url + '/file.bin'}}
+            if (path === '/post') return {status: 303, headers: {'Location': '/echo'}}
+            if (path === '/echo') return {body: request.method}
+            return file(request)
+        }
+        const controller = new AbortController()
+        let added = 0
+        let removed = 0
+        const signal = controller.signal
+        const add = signal.addEventListener.bind(signal)
+        const remove = signal.removeEventListener.bind(signal)
+        signal.addEventListener = (type, listener, options) => {
+            added++
+            add(type, listener, options)
+        }
+        signal.removeEventListener = (type, listener, options) => {
+            removed++
+            remove(type, listener, options)
+        }
+        const response = await new NodeTransport().fetch(server.url + '/r1', {method: 'GET', headers: {}, signal: signal})
+        expect(response.url).toBe(server.url + '/file.bin')
+        const reader = response.body.getReader()
+        let length = 0
+        for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) length += chunk.value.length
+        expect(length).toBe(3500)
+        await vi.waitFor(() => expect(removed).toBe(3))
+        expect(added).toBe(3)
+        // 303 改用 GET
+        const xhr = new NodeTransport()
+        xhr.open('POST', server.url + '/post')
+        xhr.send('data')
+        await done(xhr)
+        expect(xhr.responseText).toBe('GET')
+    })
+    
+    it('destroys the request when aborted', async () => {
+        server.handler = () => ({hold: true})
+        const xhr = new NodeTransport()
+        let events = []
+        xhr.addEventListener('abort', () => events.push('abort'))
+        xhr.open('GET', server.url + '/hold')
+        xhr.send()
+        await vi.waitFor(() => expect(server.requests.length).toBe(1))
+        xhr.abort()
+        expect(events).toEqual(['abort'])
+        await vi.waitFor(() => expect(server.closed).toBe(1))
+    })
+})
@@ -0,0 +1,77 @@
+/**
+ * 传输层
+ *
+ * 各加载器通过 Transport.create() 创建与 XMLHttpRequest 接口相同的请求对象，由加载器的 transport 属性或 Transport.backend 决定实现：
+ * Transport.XHR 使用 XMLHttpRequest，Transport.FETCH 使用 FetchTransport（Fetch API），Transport.NODE 使用 NodeTransport（Node http/https），
+ * 也可以设为返回自定义请求对象的函数。
+ * 未设置时，有 XMLHttpRequest 的环境使用 XHR；否则已 import NodeTransport 时使用 Node，其他环境（如 Service Worker）使用 fetch。
+ *
+ * Usage:
+ * Transport.backend = Transport.FETCH
+ * // 或只对一个加载器生效
+ * loader.transport = Transport.FETCH
+ *
+ * @author 8088
+ */
+'use strict'
+import FetchTransport from './FetchTransport'
+
+export default class Transport {
+    /**
+     * [静态] 使用 XMLHttpRequest。
+     * @type {string}
+     */
+    static XHR = 'xhr'
+    
+    /**
+     * [静态] 使用 Fetch API，下载进度来自 ReadableStream 的逐块读取，通过 AbortController 中断。
+     * @type {string}
+     */
+    static FETCH = 'fetch'
+    
+    /**
+     * [静态] 使用 Node 的 http/https 模块，须先 import NodeTransport（浏览器中打包时不引入 Node 模块）。
+     * @type {string}
+     */
+    static NODE = 'node'
+    
+    /**
+     * [静态] 其他已注册的传输方式，键为名称，值为与 XMLHttpRequest 接口相同的类，例如 import NodeTransport 时注册的 Transport.NODE。
+     * @type {Object}
+     */
+    static backends = {}
+    
+    /**
+     * [静态] 默认的传输方式，加载器未设置 transport 时使用，默认 null（自动选择）。
+     * @type {string|Function}
+     */
+    static backend = null
+    
+    /**
+     * [静态] 创建请求对象。
+     *
+     * @param backend 可选，Transport.XHR、Transport.FETCH、Transport.NODE 或返回请求对象的函数，默认使用 Transport.backend
+     * @returns {XMLHttpRequest|FetchTransport|NodeTransport}
+     */
+    static create (backend = null) {
+        let value = backend || Transport.backend
+        if (typeof value === 'function') return value()
+        if (!value) {
+            if (typeof XMLHttpRequest !== 'undefined') {
+                value = Transport.XHR
+            } else {
+                value = Transport.backends[Transport.NODE] ? Transport.NODE : Transport.FETCH
+            }
+        }
+        switch (value) {
+            case Transport.XHR:
+                if (typeof XMLHttpRequest === 'undefined') throw new TypeError('当前环境没有 XMLHttpRequest，请使用 Transport.FETCH 或 Transport.NODE。')
+                return new XMLHttpRequest()
+            case Transport.FETCH:
+                return new FetchTransport()
+        }
+        if (Transport.backends[value]) return new Transport.backends[value]()
+        if (value === Transport.NODE) throw new TypeError('使用 Transport.NODE 前请先 import NodeTransport。')
+        throw new TypeError(`暂不支持 ${value} 传输方式，请使用 Transport.XHR、Transport.FETCH、Transport.NODE 或返回请求对象的函数。`)
+    }
+}
@@ -0,0 +1,67 @@
+/**
+ * CRC32 校验
+ *
+ * 增量计算 CRC32（IEEE 802.3，与 ZIP、GZIP 相同），可分多次 update 传入数据，最后 digest 取得 4 字节大端序的结果。
+ *
+ * @author 8088
+ */
+'use strict'
+
+const initialize = Symbol('initialize')
+
+let TABLE = null
+
+export default class CRC32 {
+    constructor () {
+        this[initialize]()
+    }
+    
+    /**
+     * 追加数据。
+     *
+     * @param bytes Uint8Array
+     * @returns {CRC32}
+     */
+    update (bytes) {
+        let crc = this._crc
+        for (let i = 0; i < bytes.length; i++) {
+            crc = TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+        }
+        this._crc = crc
+        return this
+    }
+    
+    /**
+     * 返回目前所有数据的校验值，4 字节大端序。
+     *
+     * @returns {Uint8Array}
+     */
+    digest () {
+        let value = (this._crc ^ -1) >>> 0
+        return new Uint8Array([value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff])
+    }
+    
+    /**
+     * 清空已传入的数据，重新开始计算。
+     */
+    reset () {
+        this._crc = -1
+    }
+    
+    // Internals
+    //
+    
+    [initialize] () {
+        if (!TABLE) {
+            TABLE = new Int32Array(256)
+            for (let n = 0; n < 256; n++) {
+                let c = n
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+                }
+                TABLE[n] = c
+            }
+        }
+        this.reset()
+    }
+}
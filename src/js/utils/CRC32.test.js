@@ -0,0 +1,27 @@
+import {describe, it, expect} from 'vitest'
+import zlib from 'zlib'
+import CRC32 from './CRC32'
+
+const hex = (bytes) => Buffer.from(bytes).toString('hex')
+const text = (value) => new TextEncoder().encode(value)
+
+describe('CRC32', () => {
+    it('matches known checksums', () => {
+        expect(hex(new CRC32().digest())).toBe('00000000')
+        let crc = new CRC32()
+        crc.update(text('123456789'))
+        expect(hex(crc.digest())).toBe('cbf43926')
+        crc.reset()
+        crc.update(text('The quick brown fox jumps over the lazy dog'))
+        expect(hex(crc.digest())).toBe('414fa339')
+    })
+    
+    it('matches the CRC32 stored in a gzip trailer', () => {
+        let bytes = Uint8Array.from({length: 10000}, (v, i) => (i * 131) & 0xff)
+        let gz = zlib.gzipSync(bytes)
+        let crc = new CRC32()
+        for (let i = 0; i < bytes.length; i += 999) crc.update(bytes.subarray(i, i + 999))
+        // gzip 尾部的 CRC32 为小端序，digest 为大端序
+        expect(hex(crc.digest())).toBe(hex(gz.subarray(gz.length - 8, gz.length - 4).reverse()))
+    })
+})
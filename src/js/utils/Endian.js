@@ -0,0 +1,14 @@
+/* eslint-disable no-undef */
+export default class Endian {
+    /**
+     * [静态] 表示多字节数字的最高有效字节位于字节序列的最前面。
+     * @type {string}
+     */
+    static BIG_ENDIAN = 'bigEndian'
+    
+    /**
+     * [静态] 表示多字节数字的最低有效字节位于字节序列的最前面。
+     * @type {string}
+     */
+    static LITTLE_ENDIAN = 'littleEndian'
+}
@@ -0,0 +1,132 @@
+/**
+ * MD5 摘要
+ *
+ * 增量计算 MD5，可分多次 update 传入数据，最后 digest 取得 16 字节的摘要。
+ *
+ * @author 8088
+ */
+'use strict'
+
+const initialize = Symbol('initialize')
+const block = Symbol('block')
+
+const S = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21]
+const K = new Int32Array(64).map((v, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000))
+
+export default class MD5 {
+    constructor () {
+        this[initialize]()
+    }
+    
+    /**
+     * 追加数据。
+     *
+     * @param bytes Uint8Array
+     * @returns {MD5}
+     */
+    update (bytes) {
+        let i = 0
+        this._length += bytes.length
+        if (this._used) {
+            i = Math.min(64 - this._used, bytes.length)
+            this._buffer.set(bytes.subarray(0, i), this._used)
+            this._used += i
+            if (this._used < 64) return this
+            this[block](this._buffer, 0)
+            this._used = 0
+        }
+        for (; i + 64 <= bytes.length; i += 64) {
+            this[block](bytes, i)
+        }
+        if (i < bytes.length) {
+            this._buffer.set(bytes.subarray(i), 0)
+            this._used = bytes.length - i
+        }
+        return this
+    }
+    
+    /**
+     * 返回目前所有数据的摘要，不影响继续 update。
+     *
+     * @returns {Uint8Array}
+     */
+    digest () {
+        let state = this._state.slice()
+        let used = this._used
+        let length = this._length
+        let tail = new Uint8Array(used < 56 ? 64 : 128)
+        tail.set(this._buffer.subarray(0, used), 0)
+        tail[used] = 0x80
+        let view = new DataView(tail.buffer)
+        view.setUint32(tail.length - 8, (length * 8) >>> 0, true)
+        view.setUint32(tail.length - 4, Math.floor(length / 0x20000000), true)
+        for (let i = 0; i < tail.length; i += 64) {
+            this[block](tail, i)
+        }
+        let result = new Uint8Array(16)
+        let out = new DataView(result.buffer)
+        for (let i = 0; i < 4; i++) {
+            out.setUint32(i * 4, this._state[i], true)
+        }
+        this._state = state
+        return result
+    }
+    
+    /**
+     * 清空已传入的数据，重新开始计算。
+     */
+    reset () {
+        this._state = new Int32Array([0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476])
+        this._buffer = new Uint8Array(64)
+        this._used = 0
+        this._length = 0
+    }
+    
+    // Internals
+    //
+    
+    [initialize] () {
+        this._words = new Int32Array(16)
+        this.reset()
+    }
+    
+    [block] (bytes, offset) {
+        let w = this._words
+        let s = this._state
+        for (let i = 0; i < 16; i++) {
+            let p = offset + i * 4
+            w[i] = bytes[p] | (bytes[p + 1] << 8) | (bytes[p + 2] << 16) | (bytes[p + 3] << 24)
+        }
+        let a = s[0]
+        let b = s[1]
+        let c = s[2]
+        let d = s[3]
+        for (let i = 0; i < 64; i++) {
+            let f = 0
+            let g = 0
+            if (i < 16) {
+                f = (b & c) | (~b & d)
+                g = i
+            } else if (i < 32) {
+                f = (d & b) | (~d & c)
+                g = (5 * i + 1) % 16
+            } else if (i < 48) {
+                f = b ^ c ^ d
+                g = (3 * i + 5) % 16
+            } else {
+                f = c ^ (b | ~d)
+                g = (7 * i) % 16
+            }
+            let r = S[(i >> 4) * 4 + (i % 4)]
+            let t = (a + f + K[i] + w[g]) | 0
+            a = d
+            d = c
+            c = b
+            b = (b + ((t << r) | (t >>> (32 - r)))) | 0
+        }
+        s[0] += a
+        s[1] += b
+        s[2] += c
+        s[3] += d
+    }
+}
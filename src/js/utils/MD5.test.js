@@ -0,0 +1,44 @@
+import {describe, it, expect} from 'vitest'
+import crypto from 'crypto'
+import MD5 from './MD5'
+
+const hex = (bytes) => Buffer.from(bytes).toString('hex')
+const expected = (bytes) => crypto.createHash('md5').update(bytes).digest('hex')
+const sample = (length) => Uint8Array.from({length: length}, (v, i) => (i * 31 + 7) & 0xff)
+
+describe('MD5', () => {
+    it('matches known digests', () => {
+        expect(hex(new MD5().digest())).toBe('d41d8cd98f00b204e9800998ecf8427e')
+        let hash = new MD5()
+        hash.update(new TextEncoder().encode('abc'))
+        expect(hex(hash.digest())).toBe('900150983cd24fb0d6963f7d28e17f72')
+    })
+    
+    it('matches node crypto around the padding boundaries', () => {
+        [1, 55, 56, 63, 64, 65, 119, 120, 127, 128, 1000].map((length) => {
+            let bytes = sample(length)
+            let hash = new MD5()
+            hash.update(bytes)
+            expect(hex(hash.digest())).toBe(expected(bytes))
+        })
+    })
+    
+    it('gives the same digest for chunked updates', () => {
+        let bytes = sample(5000)
+        let hash = new MD5()
+        for (let i = 0; i < bytes.length; i += 37) hash.update(bytes.subarray(i, i + 37))
+        expect(hex(hash.digest())).toBe(expected(bytes))
+    })
+    
+    it('keeps updating after digest and starts over after reset', () => {
+        let bytes = sample(300)
+        let hash = new MD5()
+        hash.update(bytes.subarray(0, 100))
+        expect(hex(hash.digest())).toBe(expected(bytes.subarray(0, 100)))
+        hash.update(bytes.subarray(100))
+        expect(hex(hash.digest())).toBe(expected(bytes))
+        hash.reset()
+        hash.update(bytes.subarray(0, 10))
+        expect(hex(hash.digest())).toBe(expected(bytes.subarray(0, 10)))
+    })
+})
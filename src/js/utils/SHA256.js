@@ -0,0 +1,149 @@
+/**
+ * SHA-256 摘要
+ *
+ * 增量计算 SHA-256，可分多次 update 传入数据，最后 digest 取得 32 字节的摘要。
+ * 浏览器的 crypto.subtle 只能一次性计算，无法随分片下载逐步计算，故在此实现。
+ *
+ * @author 8088
+ */
+'use strict'
+
+const initialize = Symbol('initialize')
+const block = Symbol('block')
+
+const K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+])
+
+export default class SHA256 {
+    constructor () {
+        this[initialize]()
+    }
+    
+    /**
+     * 追加数据。
+     *
+     * @param bytes Uint8Array
+     * @returns {SHA256}
+     */
+    update (bytes) {
+        let i = 0
+        this._length += bytes.length
+        if (this._used) {
+            i = Math.min(64 - this._used, bytes.length)
+            this._buffer.set(bytes.subarray(0, i), this._used)
+            this._used += i
+            if (this._used < 64) return this
+            this[block](this._buffer, 0)
+            this._used = 0
+        }
+        for (; i + 64 <= bytes.length; i += 64) {
+            this[block](bytes, i)
+        }
+        if (i < bytes.length) {
+            this._buffer.set(bytes.subarray(i), 0)
+            this._used = bytes.length - i
+        }
+        return this
+    }
+    
+    /**
+     * 返回目前所有数据的摘要，不影响继续 update。
+     *
+     * @returns {Uint8Array}
+     */
+    digest () {
+        let state = this._state.slice()
+        let buffer = this._buffer.slice()
+        let used = this._used
+        let length = this._length
+        let tail = new Uint8Array(used < 56 ? 64 : 128)
+        tail.set(buffer.subarray(0, used), 0)
+        tail[used] = 0x80
+        let view = new DataView(tail.buffer)
+        view.setUint32(tail.length - 8, Math.floor(length / 0x20000000), false)
+        view.setUint32(tail.length - 4, (length * 8) >>> 0, false)
+        for (let i = 0; i < tail.length; i += 64) {
+            this[block](tail, i)
+        }
+        let result = new Uint8Array(32)
+        let out = new DataView(result.buffer)
+        for (let i = 0; i < 8; i++) {
+            out.setUint32(i * 4, this._state[i], false)
+        }
+        this._state = state
+        this._buffer = buffer
+        return result
+    }
+    
+    /**
+     * 清空已传入的数据，重新开始计算。
+     */
+    reset () {
+        this._state = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19])
+        this._buffer = new Uint8Array(64)
+        this._used = 0
+        this._length = 0
+    }
+    
+    // Internals
+    //
+    
+    [initialize] () {
+        this._words = new Uint32Array(64)
+        this.reset()
+    }
+    
+    [block] (bytes, offset) {
+        let w = this._words
+        let s = this._state
+        for (let i = 0; i < 16; i++) {
+            let p = offset + i * 4
+            w[i] = (bytes[p] << 24) | (bytes[p + 1] << 16) | (bytes[p + 2] << 8) | bytes[p + 3]
+        }
+        for (let i = 16; i < 64; i++) {
+            let a = w[i - 15]
+            let b = w[i - 2]
+            let s0 = ((a >>> 7) | (a << 25)) ^ ((a >>> 18) | (a << 14)) ^ (a >>> 3)
+            let s1 = ((b >>> 17) | (b << 15)) ^ ((b >>> 19) | (b << 13)) ^ (b >>> 10)
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0
+        }
+        let a = s[0]
+        let b = s[1]
+        let c = s[2]
+        let d = s[3]
+        let e = s[4]
+        let f = s[5]
+        let g = s[6]
+        let h = s[7]
+        for (let i = 0; i < 64; i++) {
+            let S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7))
+            let t1 = (h + S1 + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0
+            let S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10))
+            let t2 = (S0 + ((a & b) ^ (a & c) ^ (b & c))) | 0
+            h = g
+            g = f
+            f = e
+            e = (d + t1) | 0
+            d = c
+            c = b
+            b = a
+            a = (t1 + t2) | 0
+        }
+        s[0] += a
+        s[1] += b
+        s[2] += c
+        s[3] += d
+        s[4] += e
+        s[5] += f
+        s[6] += g
+        s[7] += h
+    }
+}
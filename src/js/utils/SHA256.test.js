@@ -0,0 +1,44 @@
+import {describe, it, expect} from 'vitest'
+import crypto from 'crypto'
+import SHA256 from './SHA256'
+
+const hex = (bytes) => Buffer.from(bytes).toString('hex')
+const expected = (bytes) => crypto.createHash('sha256').update(bytes).digest('hex')
+const sample = (length) => Uint8Array.from({length: length}, (v, i) => (i * 31 + 7) & 0xff)
+
+describe('SHA256', () => {
+    it('matches known digests', () => {
+        expect(hex(new SHA256().digest())).toBe('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855')
+        let hash = new SHA256()
+        hash.update(new TextEncoder().encode('abc'))
+        expect(hex(hash.digest())).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad')
+    })
+    
+    it('matches node crypto around the padding boundaries', () => {
+        [1, 55, 56, 63, 64, 65, 119, 120, 127, 128, 1000].map((length) => {
+            let bytes = sample(length)
+            let hash = new SHA256()
+            hash.update(bytes)
+            expect(hex(hash.digest())).toBe(expected(bytes))
+        })
+    })
+    
+    it('gives the same digest for chunked updates', () => {
+        let bytes = sample(5000)
+        let hash = new SHA256()
+        for (let i = 0; i < bytes.length; i += 37) hash.update(bytes.subarray(i, i + 37))
+        expect(hex(hash.digest())).toBe(expected(bytes))
+    })
+    
+    it('keeps updating after digest and starts over after reset', () => {
+        let bytes = sample(300)
+        let hash = new SHA256()
+        hash.update(bytes.subarray(0, 100))
+        expect(hex(hash.digest())).toBe(expected(bytes.subarray(0, 100)))
+        hash.update(bytes.subarray(100))
+        expect(hex(hash.digest())).toBe(expected(bytes))
+        hash.reset()
+        hash.update(bytes.subarray(0, 10))
+        expect(hex(hash.digest())).toBe(expected(bytes.subarray(0, 10)))
+    })
+})
@@ -0,0 +1,77 @@
+/**
+ * 本地 HTTP 服务器
+ *
+ * 在 127.0.0.1 的随机端口上启动真实的 http 服务器，用于 Node 中的传输与线程测试。
+ * handler 与 MockServer 相同：接收 { method, url, headers（名称为小写）, body }，返回（或以 Promise 兑现）响应对象
+ * { status, headers, body, hold }，因此 MockServer.file 等处理函数可以直接使用。hold 为 true 时一直不响应。
+ * requests 按顺序记录收到的请求，closed 记录连接在响应完成前被断开的次数。
+ *
+ * Usage:
+ * const server = await new HttpServer(MockServer.file('hello')).listen()
+ * await new URLLoader().load(new URLRequest(server.url + '/a.txt'))
+ * await server.close()
+ *
+ * @author 8088
+ */
+'use strict'
+import http from 'http'
+
+const handle = Symbol('handle')
+
+export default class HttpServer {
+    constructor (handler = () => ({})) {
+        this.handler = handler
+        this.requests = []
+        this.closed = 0
+        this.url = null
+        this._server = http.createServer((req, res) => this[handle](req, res))
+    }
+    
+    /**
+     * 开始监听，兑现为服务器自身。
+     *
+     * @returns {Promise}
+     */
+    listen () {
+        return new Promise((resolve) => {
+            this._server.listen(0, '127.0.0.1', () => {
+                this.url = `http://127.0.0.1:${this._server.address().port}`
+                resolve(this)
+            })
+        })
+    }
+    
+    /**
+     * 断开所有连接并停止监听。
+     *
+     * @returns {Promise}
+     */
+    close () {
+        this._server.closeAllConnections()
+        return new Promise((resolve) => this._server.close(() => resolve()))
+    }
+    
+    // Internals
+    //
+    
+    [handle] (req, res) {
+        let chunks = []
+        req.on('data', (chunk) => chunks.push(chunk))
+        req.on('end', () => {
+            let request = {method: req.method, url: this.url + req.url, headers: req.headers, body: Buffer.concat(chunks).toString()}
+            this.requests.push(request)
+            res.on('close', () => {
+                if (!res.writableFinished) this.closed++
+            })
+            Promise.resolve(this.handler(request)).then((response) => {
+                response = response || {}
+                if (response.hold) return
+                let body = response.body === undefined ? '' : response.body
+                body = typeof body === 'string' ? Buffer.from(body) : Buffer.from(new Uint8Array(body))
+                let headers = Object.assign({'Content-Length': body.length}, response.headers)
+                res.writeHead(response.status || 200, headers)
+                res.end(req.method === 'HEAD' ? undefined : body)
+            })
+        })
+    }
+}
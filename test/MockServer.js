@@ -0,0 +1,272 @@
+/**
+ * 模拟服务器
+ *
+ * 测试中替换全局的 XMLHttpRequest，请求交给 handler 处理，不访问网络。
+ * handler(request) 接收 { method, url, headers（名称为小写）, body }，返回（或以 Promise 兑现）响应对象：
+ * { status, headers, body, chunk, delay, length, error, hold }
+ * body 为 Uint8Array、ArrayBuffer 或字符串；chunk 为每次 progress 到达的字节数（默认一次全部到达）；delay 为每块之间的毫秒数；
+ * length 为 false 时不自动添加 Content-Length；error 为 true 时模拟网络错误；hold 为 true 时一直不响应。
+ * requests 按顺序记录收到的请求。
+ *
+ * Usage:
+ * const server = new MockServer((request) => ({body: 'hello'}))
+ * vi.stubGlobal('XMLHttpRequest', server.XMLHttpRequest)
+ *
+ * @author 8088
+ */
+'use strict'
+
+const dispatch = Symbol('dispatch')
+const respond = Symbol('respond')
+const deliver = Symbol('deliver')
+const text = Symbol('text')
+const stale = Symbol('stale')
+
+const tick = (ms = 0) => new Promise((resolve) => setTimeout(resolve, ms))
+
+export class MockXMLHttpRequest {
+    constructor (server) {
+        this.server = server
+        this.readyState = 0
+        this.status = 0
+        this.responseType = ''
+        this.timeout = 0
+        this.withCredentials = false
+        this.onreadystatechange = null
+        this.onloadstart = null
+        this.onprogress = null
+        this.onabort = null
+        this.onerror = null
+        this.onload = null
+        this.onloadend = null
+        this._listeners = {}
+        this._headers = {}
+        this._response = {}
+        this._body = new Uint8Array(0)
+        this._received = 0
+        this._mime = null
+        this._sent = false
+        this._aborted = false
+        this._token = {}
+    }
+    
+    get response () {
+        if (this.responseType === 'arraybuffer') {
+            return this.readyState === 4 && !this._aborted ? this._body.slice(0, this._received).buffer : null
+        }
+        if (this.responseType === 'blob') {
+            return this.readyState === 4 && !this._aborted ? new Blob([this._body.slice(0, this._received)]) : null
+        }
+        if (this.responseType === 'json') {
+            if (this.readyState !== 4 || this._aborted) return null
+            try {
+                return JSON.parse(this[text]())
+            } catch (err) {
+                return null
+            }
+        }
+        return this[text]()
+    }
+    
+    get responseText () {
+        if (this.responseType !== '' && this.responseType !== 'text') {
+            throw new Error(`responseText is not available for responseType "${this.responseType}".`)
+        }
+        return this[text]()
+    }
+    
+    open (method, url) {
+        // 与浏览器相同，重新 open 时清除上一次请求的状态，同一实例可再次发送
+        this.method = String(method).toUpperCase()
+        this.url = url
+        this.status = 0
+        this._headers = {}
+        this._response = {}
+        this._body = new Uint8Array(0)
+        this._received = 0
+        this._sent = false
+        this._aborted = false
+        this._token = {}
+        this.readyState = 1
+    }
+    
+    setRequestHeader (name, value) {
+        this._headers[name.toLowerCase()] = String(value)
+    }
+    
+    overrideMimeType (mime) {
+        this._mime = mime
+    }
+    
+    getResponseHeader (name) {
+        if (this.readyState < 2) return null
+        let value = this._response[name.toLowerCase()]
+        return value === undefined ? null : value
+    }
+    
+    getAllResponseHeaders () {
+        if (this.readyState < 2) return ''
+        return Object.keys(this._response).map((key) => `${key}: ${this._response[key]}\r\n`).join('')
+    }
+    
+    addEventListener (type, listener) {
+        if (!this._listeners[type]) this._listeners[type] = []
+        this._listeners[type].push(listener)
+    }
+    
+    removeEventListener (type, listener) {
+        if (!this._listeners[type]) return
+        this._listeners[type] = this._listeners[type].filter((item) => item !== listener)
+    }
+    
+    send (body = null) {
+        this._sent = true
+        const request = {method: this.method, url: this.url, headers: Object.assign({}, this._headers), body: body, xhr: this}
+        this.server.requests.push(request)
+        const token = this._token
+        tick().then(() => {
+            if (this[stale](token)) return
+            this[dispatch]('loadstart')
+            return Promise.resolve(this.server.handler(request)).then((response) => this[respond](response || {}, token))
+        })
+    }
+    
+    abort () {
+        if (!this._sent || this._aborted || this.readyState === 4) {
+            this.readyState = 0
+            return
+        }
+        this._aborted = true
+        this.status = 0
+        this.readyState = 4
+        this[dispatch]('readystatechange')
+        this[dispatch]('abort')
+        this[dispatch]('loadend')
+        this.readyState = 0
+    }
+    
+    // Internals
+    //
+    
+    [dispatch] (type) {
+        let total = Number(this._response['content-length'])
+        let evt = {
+            type: type,
+            target: this,
+            loaded: this._received,
+            total: isNaN(total) ? 0 : total,
+            lengthComputable: !isNaN(total)
+        }
+        if (typeof this['on' + type] === 'function') this['on' + type](evt)
+        let listeners = (this._listeners[type] || []).slice()
+        listeners.map((listener) => listener.call(this, evt))
+    }
+    
+    [respond] (response, token) {
+        if (this[stale](token)) return
+        if (response.error) {
+            this.status = 0
+            this.readyState = 4
+            this[dispatch]('readystatechange')
+            this[dispatch]('error')
+            this[dispatch]('loadend')
+            return
+        }
+        if (response.hold) return
+        let body = response.body === undefined || response.body === null ? new Uint8Array(0) : response.body
+        if (typeof body === 'string') body = new TextEncoder().encode(body)
+        // Buffer 等视图可能与其他数据共用 ArrayBuffer，复制为独立的 Uint8Array，使 response 只含本次的内容
+        body = new Uint8Array(body)
+        // HEAD 响应没有内容，Content-Length 仍为完整内容的长度
+        let length = body.byteLength
+        if (this.method === 'HEAD') body = new Uint8Array(0)
+        let headers = {}
+        let source = response.headers || {}
+        for (let key in source) {
+            if (source[key] !== null && source[key] !== undefined) headers[key.toLowerCase()] = String(source[key])
+        }
+        if (response.length !== false && !('content-length' in headers)) {
+            headers['content-length'] = String(length)
+        }
+        this._response = headers
+        this._body = body
+        this.status = response.status || 200
+        this.readyState = 2
+        this[dispatch]('readystatechange')
+        return this[deliver](response.chunk || body.byteLength || 1, response.delay || 0, token)
+    }
+    
+    [deliver] (size, delay, token) {
+        return tick(delay).then(() => {
+            if (this[stale](token)) return
+            if (this.readyState === 2) {
+                this.readyState = 3
+                this[dispatch]('readystatechange')
+                if (this[stale](token)) return
+            }
+            this._received = Math.min(this._body.byteLength, this._received + size)
+            if (this._body.byteLength) this[dispatch]('progress')
+            if (this[stale](token)) return
+            if (this._received < this._body.byteLength) return this[deliver](size, delay, token)
+            this.readyState = 4
+            this[dispatch]('readystatechange')
+            if (this[stale](token)) return
+            this[dispatch]('load')
+            this[dispatch]('loadend')
+        })
+    }
+    
+    [stale] (token) {
+        // 请求已中断，或已重新 open 开始了新的请求
+        return this._aborted || token !== this._token
+    }
+    
+    [text] () {
+        let bytes = this._body.subarray(0, this._received)
+        if (this._mime && this._mime.indexOf('x-user-defined') !== -1) {
+            // 与浏览器相同，x-user-defined 字符集中 0x80 以上的字节映射到 U+F780 ~ U+F7FF
+            let str = ''
+            for (let i = 0; i !== bytes.length; i++) {
+                str += String.fromCharCode(bytes[i] < 0x80 ? bytes[i] : 0xf700 + bytes[i])
+            }
+            return str
+        }
+        return new TextDecoder('utf-8').decode(bytes)
+    }
+}
+
+export default class MockServer {
+    /**
+     * [静态] 返回静态文件的 handler：有 Range 头部时返回 206 及 Content-Range，超出文件大小时返回 416，否则返回完整内容。
+     *
+     * @param body 文件内容，Uint8Array 或字符串
+     * @param headers 可选，附加的响应头部
+     * @returns {Function}
+     */
+    static file (body, headers = {}) {
+        body = typeof body === 'string' ? new TextEncoder().encode(body) : new Uint8Array(body)
+        return (request) => {
+            let match = /^bytes=(\d+)-(\d*)$/.exec(request.headers['range'] || '')
+            if (!match) return {body: body, headers: Object.assign({'Accept-Ranges': 'bytes'}, headers)}
+            let start = Number(match[1])
+            if (start >= body.length) return {status: 416, headers: Object.assign({'Content-Range': `bytes */${body.length}`}, headers)}
+            let end = Math.min(match[2] ? Number(match[2]) : Infinity, body.length - 1)
+            return {
+                status: 206,
+                body: body.slice(start, end + 1),
+                headers: Object.assign({'Accept-Ranges': 'bytes', 'Content-Range': `bytes ${start}-${end}/${body.length}`}, headers)
+            }
+        }
+    }
+    
+    constructor (handler = () => ({})) {
+        const server = this
+        this.handler = handler
+        this.requests = []
+        this.XMLHttpRequest = class extends MockXMLHttpRequest {
+            constructor () {
+                super(server)
+            }
+        }
+    }
+}
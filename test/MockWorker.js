@@ -0,0 +1,72 @@
+/**
+ * 模拟 Worker
+ *
+ * 测试中替换全局的 Worker 与 window（online / offline 事件），在当前线程中以 LoaderWorker 运行线程端，
+ * 双向的消息经 structuredClone 复制后异步传递。线程端的 XMLHttpRequest 使用全局的（通常为 MockServer.XMLHttpRequest）。
+ *
+ * Usage:
+ * MockWorker.install()
+ * const loader = new WorkerLoader()
+ *
+ * @author 8088
+ */
+'use strict'
+import {vi} from 'vitest'
+import LoaderWorker from '../src/js/net/loader/LoaderWorker'
+
+const deliver = Symbol('deliver')
+
+export default class MockWorker {
+    /**
+     * [静态] 替换全局的 Worker 与 window。
+     */
+    static install () {
+        vi.stubGlobal('window', new EventTarget())
+        vi.stubGlobal('Worker', MockWorker)
+    }
+    
+    constructor (url, options) {
+        this.url = url
+        this.options = options
+        this.onmessage = null
+        this._listeners = []
+        this._terminated = false
+        this._scope = {
+            listeners: [],
+            addEventListener: (type, listener) => {
+                if (type === 'message') this._scope.listeners.push(listener)
+            },
+            postMessage: (data) => this[deliver](data, this._listeners, () => this.onmessage, this)
+        }
+        this._worker = new LoaderWorker(this._scope)
+    }
+    
+    addEventListener (type, listener) {
+        if (type === 'message') this._listeners.push(listener)
+    }
+    
+    removeEventListener (type, listener) {
+        this._listeners = this._listeners.filter((item) => item !== listener)
+    }
+    
+    postMessage (data) {
+        this[deliver](data, this._scope.listeners, () => null, this._scope)
+    }
+    
+    terminate () {
+        this._terminated = true
+    }
+    
+    // Internals
+    //
+    
+    [deliver] (data, listeners, handler, target) {
+        const copy = structuredClone(data)
+        setTimeout(() => {
+            if (this._terminated) return
+            let evt = {data: copy, target: target}
+            if (handler()) handler()(evt)
+            listeners.slice().map((listener) => listener(evt))
+        })
+    }
+}
@@ -0,0 +1,78 @@
+/**
+ * 测试用 TAR
+ *
+ * 生成测试用的 ustar 格式 TAR 数据，名称超过 100 字节的条目改用 PAX 扩展头记录路径。
+ *
+ * Usage:
+ * let bytes = Tar.create([{name: 'a.txt', data: 'hello'}, {name: 'docs/'}])
+ * let tgz = zlib.gzipSync(bytes)
+ *
+ * @author 8088
+ */
+'use strict'
+
+// 2024-01-01 00:00:00 UTC
+const MTIME = 1704067200
+
+const block = (name, size, type, mode) => {
+    let bytes = new Uint8Array(512)
+    let write = (offset, length, value) => {
+        bytes.set(new TextEncoder().encode(value).subarray(0, length), offset)
+    }
+    let octal = (offset, length, value) => write(offset, length, value.toString(8).padStart(length - 1, '0'))
+    write(0, 100, name)
+    octal(100, 8, mode)
+    octal(108, 8, 0)
+    octal(116, 8, 0)
+    octal(124, 12, size)
+    octal(136, 12, MTIME)
+    write(148, 8, '        ')
+    write(156, 1, type)
+    write(257, 6, 'ustar')
+    write(263, 2, '00')
+    let sum = bytes.reduce((total, item) => total + item, 0)
+    write(148, 8, sum.toString(8).padStart(6, '0') + '\0 ')
+    return bytes
+}
+
+const pad = (data) => {
+    let bytes = new Uint8Array(Math.ceil(data.length / 512) * 512)
+    bytes.set(data)
+    return bytes
+}
+
+export default class Tar {
+    /**
+     * [静态] 生成 TAR 数据。
+     * entries 每项为 { name, data, mode }：data 为字符串或 Uint8Array，名称以 “/” 结尾的目录可省略；mode 默认文件 0o644、目录 0o755。
+     *
+     * @param entries 条目
+     * @returns {Uint8Array}
+     */
+    static create (entries) {
+        let parts = []
+        entries.map((entry) => {
+            let dir = entry.name.charAt(entry.name.length - 1) === '/'
+            let data = typeof entry.data === 'string' ? new TextEncoder().encode(entry.data) : (entry.data || new Uint8Array(0))
+            let name = entry.name
+            if (new TextEncoder().encode(name).length > 100) {
+                let record = ` path=${name}\n`
+                let length = record.length
+                while (String(length).length + record.length !== length) length = String(length).length + record.length
+                let pax = new TextEncoder().encode(length + record)
+                parts.push(block('PaxHeader', pax.length, 'x', 0o644), pad(pax))
+                name = name.slice(0, 100)
+            }
+            parts.push(block(name, dir ? 0 : data.length, dir ? '5' : '0', entry.mode || (dir ? 0o755 : 0o644)))
+            if (!dir) parts.push(pad(data))
+        })
+        parts.push(new Uint8Array(1024))
+        let result = new Uint8Array(parts.reduce((total, item) => total + item.length, 0))
+        let offset = 0
+        parts.map((item) => {
+            result.set(item, offset)
+            offset += item.length
+        })
+        return result
+    }
+}
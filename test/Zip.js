@@ -0,0 +1,124 @@
+/**
+ * 测试用 ZIP
+ *
+ * 生成测试用的 ZIP 数据，可指定每个条目的压缩方式及数据描述符（data descriptor）的形式，用于覆盖流式解析的各种情况。
+ *
+ * Usage:
+ * let bytes = Zip.create([{name: 'a.txt', data: 'hello'}, {name: 'docs/'}, {name: 'b.bin', data: new Uint8Array(8), method: 0}])
+ *
+ * @author 8088
+ */
+'use strict'
+import zlib from 'zlib'
+
+// 2024-01-01 00:00:00
+const DOS_DATE = ((2024 - 1980) << 9) | (1 << 5) | 1
+const DOS_TIME = 0
+
+const concat = (parts) => {
+    let result = new Uint8Array(parts.reduce((total, item) => total + item.length, 0))
+    let offset = 0
+    parts.map((item) => {
+        result.set(item, offset)
+        offset += item.length
+    })
+    return result
+}
+
+const record = (size, write) => {
+    let bytes = new Uint8Array(size)
+    write(new DataView(bytes.buffer))
+    return bytes
+}
+
+export default class Zip {
+    /**
+     * [静态] 生成 ZIP 数据。
+     * entries 每项为 { name, data, method, descriptor }：data 为字符串或 Uint8Array，名称以 “/” 结尾的目录可省略；
+     * method 为 8（deflate，默认）或 0（存储）；descriptor 为 'signature'（带签名）、'plain'（无签名）或 'zip64'（带签名，8 字节大小）时，
+     * 本地文件头中不记录大小，改为记录在数据之后的数据描述符中。
+     *
+     * @param entries 条目
+     * @returns {Uint8Array}
+     */
+    static create (entries) {
+        let parts = []
+        let central = []
+        let offset = 0
+        entries.map((entry) => {
+            let name = new TextEncoder().encode(entry.name)
+            let data = typeof entry.data === 'string' ? new TextEncoder().encode(entry.data) : (entry.data || new Uint8Array(0))
+            let method = entry.method === undefined ? 8 : entry.method
+            let compressed = method === 8 ? new Uint8Array(zlib.deflateRawSync(data)) : data
+            let crc32 = zlib.crc32(data) >>> 0
+            let descriptor = entry.descriptor || null
+            let zip64 = descriptor === 'zip64'
+            let flags = 0x0800 | (descriptor ? 0x08 : 0)
+            let extra = zip64 ? record(20, (view) => {
+                // 本地文件头中的 ZIP64 扩展字段，大小在数据描述符中
+                view.setUint16(0, 0x0001, true)
+                view.setUint16(2, 16, true)
+            }) : new Uint8Array(0)
+            let header = record(30, (view) => {
+                view.setUint32(0, 0x04034b50, true)
+                view.setUint16(4, zip64 ? 45 : 20, true)
+                view.setUint16(6, flags, true)
+                view.setUint16(8, method, true)
+                view.setUint16(10, DOS_TIME, true)
+                view.setUint16(12, DOS_DATE, true)
+                view.setUint32(14, descriptor ? 0 : crc32, true)
+                view.setUint32(18, zip64 ? 0xffffffff : (descriptor ? 0 : compressed.length), true)
+                view.setUint32(22, zip64 ? 0xffffffff : (descriptor ? 0 : data.length), true)
+                view.setUint16(26, name.length, true)
+                view.setUint16(28, extra.length, true)
+            })
+            let trailer = new Uint8Array(0)
+            if (descriptor === 'zip64') {
+                trailer = record(24, (view) => {
+                    view.setUint32(0, 0x08074b50, true)
+                    view.setUint32(4, crc32, true)
+                    view.setBigUint64(8, BigInt(compressed.length), true)
+                    view.setBigUint64(16, BigInt(data.length), true)
+                })
+            } else if (descriptor) {
+                let signed = descriptor === 'signature'
+                trailer = record(signed ? 16 : 12, (view) => {
+                    let p = 0
+                    if (signed) {
+                        view.setUint32(0, 0x08074b50, true)
+                        p = 4
+                    }
+                    view.setUint32(p, crc32, true)
+                    view.setUint32(p + 4, compressed.length, true)
+                    view.setUint32(p + 8, data.length, true)
+                })
+            }
+            parts.push(header, name, extra, compressed, trailer)
+            central.push(record(46, (view) => {
+                view.setUint32(0, 0x02014b50, true)
+                view.setUint16(4, 20, true)
+                view.setUint16(6, zip64 ? 45 : 20, true)
+                view.setUint16(8, flags, true)
+                view.setUint16(10, method, true)
+                view.setUint16(12, DOS_TIME, true)
+                view.setUint16(14, DOS_DATE, true)
+                view.setUint32(16, crc32, true)
+                view.setUint32(20, compressed.length, true)
+                view.setUint32(24, data.length, true)
+                view.setUint16(28, name.length, true)
+                view.setUint32(38, entry.name.charAt(entry.name.length - 1) === '/' ? 0x10 : 0, true)
+                view.setUint32(42, offset, true)
+            }), name)
+            offset += header.length + name.length + extra.length + compressed.length + trailer.length
+        })
+        let directory = concat(central)
+        let end = record(22, (view) => {
+            view.setUint32(0, 0x06054b50, true)
+            view.setUint16(8, entries.length, true)
+            view.setUint16(10, entries.length, true)
+            view.setUint32(12, directory.length, true)
+            view.setUint32(16, offset, true)
+        })
+        return concat(parts.concat([directory, end]))
+    }
+}